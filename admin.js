@@ -0,0 +1,159 @@
+import express from 'express';
+import crypto from 'crypto';
+import { pairingService } from './pairing.js';
+import { requestLogger } from './logger.js';
+import { webhooks } from './webhooks.js';
+import { listSessions, getSessionStats, countSessions, MAX_SESSIONS } from './lifecycle.js';
+import { maskNumber } from './phone.js';
+import { ApiError, sendError } from './errors.js';
+import { documentRoutes } from './openapi.js';
+
+const router = express.Router();
+router.use(requestLogger());
+
+function tokensMatch(given, expected) {
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function getToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token');
+}
+
+// True when the request carries a valid admin token, for admin-only options on public routes
+export function isAdminRequest(req) {
+    const expected = process.env.ADMIN_TOKEN;
+    const given = getToken(req);
+    return Boolean(expected && given && tokensMatch(given, expected));
+}
+
+// Every admin route needs ADMIN_TOKEN as a Bearer token (or X-Admin-Token header)
+router.use((req, res, next) => {
+    if (!process.env.ADMIN_TOKEN) {
+        return sendError(res, new ApiError('ADMIN_DISABLED', 'Set ADMIN_TOKEN in .env to enable the admin API'));
+    }
+
+    if (!isAdminRequest(req)) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'A valid admin token is required'));
+    }
+
+    next();
+});
+
+const api = documentRoutes(router, '/api/admin', { tag: 'Admin', auth: 'admin', errors: ['ADMIN_DISABLED'] });
+
+const SESSION_ID = { type: 'string', pattern: '^session_\\w{1,64}$' };
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+function describeSession(session) {
+    return {
+        sessionId: session.sessionId,
+        method: session.method,
+        number: session.number ? maskNumber(session.number) : null,
+        state: session.phase,
+        connected: session.connected,
+        createdAt: new Date(session.createdAt).toISOString(),
+        ageSeconds: Math.floor((Date.now() - session.createdAt) / 1000)
+    };
+}
+
+// Active pairing sessions
+api.get('/sessions', {
+    summary: 'Active pairing sessions'
+}, (req, res) => {
+    res.json({
+        success: true,
+        count: countSessions(),
+        max: MAX_SESSIONS,
+        sessions: listSessions().map(describeSession)
+    });
+});
+
+// Force-terminate a session; ?logout=true also unlinks the device
+api.delete('/sessions/:sessionId', {
+    summary: 'Terminate a pairing session',
+    params: { sessionId: SESSION_ID },
+    query: { logout: { type: 'boolean', description: 'Also unlink the device' } },
+    errors: ['SESSION_NOT_FOUND']
+}, async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!pairingService.isActive(sessionId)) {
+        return sendError(res, new ApiError('SESSION_NOT_FOUND', `No active session ${sessionId}`));
+    }
+
+    await pairingService.close(sessionId, {
+        logout: req.query.logout === 'true',
+        reason: 'terminated'
+    });
+
+    req.log.info({ sessionId }, '🛑 Session terminated by admin');
+    res.json({
+        success: true,
+        message: `Session ${sessionId} terminated`
+    });
+});
+
+// Raise the Baileys log level of one running session, ?level=debug (default), trace, info, ... or fatal to reset
+api.post('/sessions/:sessionId/debug', {
+    summary: 'Set the Baileys log level of a running session',
+    params: { sessionId: SESSION_ID },
+    query: { level: { type: 'string', enum: LOG_LEVELS, description: 'Defaults to debug' } },
+    errors: ['SESSION_NOT_FOUND']
+}, (req, res) => {
+    const { sessionId } = req.params;
+    const level = req.query.level || 'debug';
+
+    if (!pairingService.setSocketLogLevel(sessionId, level)) {
+        return sendError(res, new ApiError('SESSION_NOT_FOUND', `No active session ${sessionId}`));
+    }
+
+    res.json({
+        success: true,
+        message: `Socket log level of ${sessionId} set to ${level}`
+    });
+});
+
+// Recent webhook deliveries, newest first; filter with ?status=pending|delivered|failed, ?event= and ?sessionId=
+api.get('/webhooks/deliveries', {
+    summary: 'Recent webhook deliveries',
+    query: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        event: { type: 'string', maxLength: 64 },
+        sessionId: SESSION_ID,
+        limit: { type: 'integer', minimum: 1 }
+    }
+}, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || webhooks.logSize, webhooks.logSize);
+    const deliveries = webhooks.listDeliveries({
+        status: req.query.status,
+        event: req.query.event,
+        sessionId: req.query.sessionId,
+        limit
+    });
+
+    res.json({
+        success: true,
+        enabled: webhooks.enabled,
+        urls: webhooks.urls.length,
+        count: deliveries.length,
+        deliveries
+    });
+});
+
+// Recent successes and failures
+api.get('/stats', {
+    summary: 'Pairing outcomes of the last hour and day'
+}, (req, res) => {
+    res.json({
+        success: true,
+        active: countSessions(),
+        max: MAX_SESSIONS,
+        uptime: Math.floor(process.uptime()),
+        ...getSessionStats()
+    });
+});
+
+export default router;
@@ -0,0 +1,223 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs/promises';
+import { countSessions, MAX_SESSIONS } from './lifecycle.js';
+import { getConfig, renderPage } from './config.js';
+import { logger, requestLogger } from './logger.js';
+import { registry, instrumentPairing, pairingMetrics } from './metrics.js';
+import { ApiError, sendError } from './errors.js';
+import { documentRoutes, listEndpoints, buildOpenApiDocument } from './openapi.js';
+
+// The Express app without a listening server, so tests can mount it on their own port.
+// index.js loads .env before importing it and starts the server.
+const { botName } = getConfig();
+
+const app = express();
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Middleware
+app.use(requestLogger());
+
+app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    next();
+});
+
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Import and use pair router; a failure is reported by /api/health/ready
+let pairRouter;
+let pairRouterError = null;
+try {
+    pairRouter = (await import('./pair.js')).default;
+    const { pairingService } = await import('./pairing.js');
+    const { createRateLimiter } = await import('./ratelimit.js');
+    const { forwardPairingEvents } = await import('./webhooks.js');
+    const { batchQueue } = await import('./batch.js');
+    instrumentPairing(pairingService, { countSessions, maxSessions: MAX_SESSIONS });
+    forwardPairingEvents(pairingService);
+
+    // Limit how often pairing sockets can be opened, per IP and per target number
+    const pairingLimiter = createRateLimiter({
+        onReject: (scope) => pairingMetrics.rateLimited.inc({ scope })
+    });
+    pairingService.on('closed', (event) => {
+        const session = pairingService.getSession(event.sessionId);
+        if (session?.method === 'phone' && event.outcome === 'failed') {
+            pairingLimiter.recordFailure({ number: session.number });
+        }
+    });
+
+    batchQueue.useRateLimiter(pairingLimiter);
+
+    app.use('/api/code', pairingLimiter, pairRouter);
+    logger.info('✅ Pair router loaded successfully');
+
+    app.use('/api/admin', (await import('./admin.js')).default);
+
+    // Verification opens a WhatsApp socket too, so it gets its own limiter
+    const verifyLimiter = createRateLimiter({
+        routes: ['/verify'],
+        methods: ['POST'],
+        onReject: (scope) => pairingMetrics.rateLimited.inc({ scope })
+    });
+    app.use('/api/session', verifyLimiter, (await import('./verify.js')).default);
+} catch (error) {
+    pairRouterError = error;
+    logger.error({ err: error }, '❌ Failed to load pair router');
+}
+
+export const VERSION = '2.1.0';
+
+const pagesApi = documentRoutes(app, '', { tag: 'Pages' });
+const serviceApi = documentRoutes(app, '', { tag: 'Service' });
+
+// HTML pages with the configured branding filled in, rendered once
+const pages = new Map();
+
+function sendPage(file) {
+    return async (req, res, next) => {
+        try {
+            if (!pages.has(file)) {
+                pages.set(file, renderPage(await fs.readFile(path.join(__dirname, file), 'utf-8')));
+            }
+            res.type('html').send(pages.get(file));
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+const HTML = { 200: { description: 'HTML page', content: 'text/html' } };
+
+// Routes
+pagesApi.get('/', { summary: 'Pairing page (QR code and phone number)', responses: HTML }, sendPage('main.html'));
+
+pagesApi.get('/pair', { summary: 'Phone number pairing page', responses: HTML }, sendPage('pair.html'));
+
+pagesApi.get('/admin', { summary: 'Admin dashboard', responses: HTML }, sendPage('admin.html'));
+
+// Health check endpoints
+serviceApi.get('/api/health', {
+    summary: 'Liveness with session counts'
+}, (req, res) => {
+    res.json({ 
+        status: 'healthy',
+        service: botName,
+        version: VERSION,
+        timestamp: new Date().toISOString(),
+        uptime: Math.floor(process.uptime()),
+        sessions: {
+            active: countSessions(),
+            max: MAX_SESSIONS
+        }
+    });
+});
+
+// Readiness: pair router, session storage and auth state store, plus the session
+// capacity for routing decisions. Answers 503 while any check is degraded; a full
+// server stays ready. Render probes the liveness route, so a storage outage does not restart it.
+serviceApi.get('/api/health/ready', {
+    summary: 'Readiness of the pair router, storage and auth state store, with session capacity',
+    responses: { 200: 'Ready', 503: 'Degraded, see checks' }
+}, async (req, res) => {
+    let readiness;
+    try {
+        const { checkReadiness } = await import('./health.js');
+        readiness = await checkReadiness({ pairRouterError });
+    } catch (error) {
+        readiness = {
+            ready: false,
+            checks: { pairRouter: { status: 'fail', error: (pairRouterError || error).message } }
+        };
+    }
+
+    res.status(readiness.ready ? 200 : 503).json({
+        status: readiness.ready ? 'ready' : 'degraded',
+        service: botName,
+        timestamp: new Date().toISOString(),
+        checks: readiness.checks,
+        ...(readiness.sessions && { sessions: readiness.sessions })
+    });
+});
+
+serviceApi.get('/health', {
+    summary: 'Plain liveness check',
+    responses: { 200: { description: 'OK', content: 'text/plain' } }
+}, (req, res) => {
+    res.status(200).send('OK');
+});
+
+// Prometheus metrics; set METRICS_TOKEN to require it as a Bearer token
+serviceApi.get('/metrics', {
+    summary: 'Prometheus metrics',
+    auth: 'metrics',
+    responses: { 200: { description: 'Prometheus text format', content: 'text/plain' } },
+    errors: ['UNAUTHORIZED']
+}, (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'A valid metrics token is required'));
+    }
+
+    res.type('text/plain; version=0.0.4').send(registry.render());
+});
+
+// Test endpoints to verify routing
+serviceApi.get('/api/test', {
+    summary: 'List every endpoint'
+}, (req, res) => {
+    res.json({ 
+        message: 'API is working!',
+        endpoints: listEndpoints()
+    });
+});
+
+// OpenAPI 3 description of every route above and in the routers
+let openApiDocument;
+serviceApi.get('/api/openapi.json', {
+    summary: 'OpenAPI 3 document of this API'
+}, (req, res) => {
+    openApiDocument ??= buildOpenApiDocument({
+        title: `${botName} API`,
+        version: VERSION,
+        description: 'WhatsApp pairing by QR code or phone number. Errors answer { success: false, error, code, message }.'
+    });
+    res.json(openApiDocument);
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    sendError(res, err);
+});
+
+// 404 handler - must be last
+app.use('*', (req, res) => {
+    if (req.originalUrl.startsWith('/api/')) {
+        sendError(res, new ApiError('NOT_FOUND', `The route ${req.originalUrl} does not exist.`, {
+            details: { availableEndpoints: listEndpoints() }
+        }));
+    } else {
+        res.status(404).send(`
+            <html>
+                <head><title>404 - Page Not Found</title></head>
+                <body style="background: #000; color: #05e6ff; font-family: Arial; text-align: center; padding: 50px;">
+                    <h1>🤖 ${botName}</h1>
+                    <h2>404 - Page Not Found</h2>
+                    <p>The page you're looking for doesn't exist.</p>
+                    <a href="/" style="color: #05e6ff;">Go to Home Page</a>
+                </body>
+            </html>
+        `);
+    }
+});
+
+export default app;
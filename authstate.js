@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BufferJSON, initAuthCreds, proto } from '@whiskeysockets/baileys';
+import { keyName } from './session.js';
+import { logger } from './logger.js';
+
+// Folder holding one sandboxed sub-folder per session for the "tempdir" backend
+export const AUTH_STATE_DIR = process.env.AUTH_STATE_DIR || path.join(os.tmpdir(), 'dtz-nova-x-md');
+
+// Database file for the "sqlite" backend
+export const AUTH_STATE_SQLITE = process.env.AUTH_STATE_SQLITE || './auth-state.sqlite';
+
+// Session data older than this is considered orphaned by the sweeper
+export const AUTH_STATE_TTL = Number(process.env.AUTH_STATE_TTL || 60 * 60 * 1000);
+
+// Each driver stores serialized values by key:
+// { read(key), write(key, value), list(), remove(key), destroy() }
+function createMemoryDriver() {
+    const values = new Map();
+
+    return {
+        read: async (key) => values.get(key) ?? null,
+        write: async (key, value) => { values.set(key, value); },
+        list: async () => [...values.keys()],
+        remove: async (key) => { values.delete(key); },
+        destroy: async () => { values.clear(); }
+    };
+}
+
+async function createTempDirDriver(sessionId) {
+    const safeId = sessionId.replace(/[^\w-]/g, '_');
+    const dir = path.join(AUTH_STATE_DIR, safeId);
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+    const file = (key) => path.join(dir, `${key}.json`);
+
+    return {
+        read: async (key) => {
+            try {
+                return await fs.readFile(file(key), 'utf-8');
+            } catch (error) {
+                return null;
+            }
+        },
+        write: (key, value) => fs.writeFile(file(key), value, { mode: 0o600 }),
+        list: async () => (await fs.readdir(dir))
+            .filter((name) => name.endsWith('.json'))
+            .map((name) => name.slice(0, -'.json'.length)),
+        remove: (key) => fs.rm(file(key), { force: true }),
+        destroy: () => fs.rm(dir, { recursive: true, force: true })
+    };
+}
+
+let database = null;
+
+// better-sqlite3 is an optional dependency, only loaded for the sqlite backend
+async function openDatabase() {
+    if (!database) {
+        const { default: Database } = await import('better-sqlite3');
+        database = new Database(AUTH_STATE_SQLITE);
+        database.pragma('journal_mode = WAL');
+        database.exec(`
+            CREATE TABLE IF NOT EXISTS auth_state (
+                session_id TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (session_id, key)
+            )
+        `);
+    }
+    return database;
+}
+
+async function createSqliteDriver(sessionId) {
+    const db = await openDatabase();
+    const select = db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?');
+    const upsert = db.prepare('INSERT OR REPLACE INTO auth_state (session_id, key, value, updated_at) VALUES (?, ?, ?, ?)');
+    const keys = db.prepare('SELECT key FROM auth_state WHERE session_id = ?');
+    const remove = db.prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?');
+    const removeAll = db.prepare('DELETE FROM auth_state WHERE session_id = ?');
+
+    return {
+        read: async (key) => select.get(sessionId, key)?.value ?? null,
+        write: async (key, value) => { upsert.run(sessionId, key, value, Date.now()); },
+        list: async () => keys.all(sessionId).map((row) => row.key),
+        remove: async (key) => { remove.run(sessionId, key); },
+        destroy: async () => { removeAll.run(sessionId); }
+    };
+}
+
+const drivers = {
+    memory: createMemoryDriver,
+    tempdir: createTempDirDriver,
+    sqlite: createSqliteDriver
+};
+
+// Baileys auth state ({ state, saveCreds }) on top of a driver, plus
+// snapshot() for session delivery and destroy() to remove every trace of it
+async function buildAuthState(driver) {
+    const readData = async (key) => {
+        const value = await driver.read(key);
+        return value ? JSON.parse(value, BufferJSON.reviver) : null;
+    };
+    const writeData = (key, value) => driver.write(key, JSON.stringify(value, BufferJSON.replacer));
+
+    const creds = (await readData('creds')) || initAuthCreds();
+
+    const keys = {
+        get: async (type, ids) => {
+            const data = {};
+            await Promise.all(ids.map(async (id) => {
+                let value = await readData(keyName(type, id));
+                if (type === 'app-state-sync-key' && value) {
+                    value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                }
+                data[id] = value;
+            }));
+            return data;
+        },
+        set: async (data) => {
+            const tasks = [];
+            for (const category in data) {
+                for (const id in data[category]) {
+                    const value = data[category][id];
+                    const key = keyName(category, id);
+                    tasks.push(value ? writeData(key, value) : driver.remove(key));
+                }
+            }
+            await Promise.all(tasks);
+        }
+    };
+
+    return {
+        state: { creds, keys },
+        saveCreds: () => writeData('creds', creds),
+
+        // Credentials plus the app state keys a bot needs to resume the link
+        snapshot: async () => {
+            const snapshotKeys = {};
+            for (const key of await driver.list()) {
+                if (key.startsWith('app-state-sync-key-')) {
+                    snapshotKeys[key] = await readData(key);
+                }
+            }
+            return { creds, keys: snapshotKeys };
+        },
+
+        destroy: () => driver.destroy()
+    };
+}
+
+export async function createAuthState(sessionId, backend = process.env.AUTH_STATE_BACKEND || 'memory') {
+    const createDriver = drivers[backend];
+    if (!createDriver) {
+        throw new Error(`Unknown auth state backend: ${backend}`);
+    }
+    return buildAuthState(await createDriver(sessionId));
+}
+
+// Throws when the configured backend cannot store auth state, used by the readiness check
+export async function checkAuthStateStore(backend = process.env.AUTH_STATE_BACKEND || 'memory') {
+    if (!drivers[backend]) {
+        throw new Error(`Unknown auth state backend: ${backend}`);
+    }
+
+    if (backend === 'tempdir') {
+        const probe = path.join(AUTH_STATE_DIR, '.healthcheck');
+        await fs.mkdir(AUTH_STATE_DIR, { recursive: true, mode: 0o700 });
+        await fs.writeFile(probe, String(Date.now()));
+        await fs.rm(probe, { force: true });
+    }
+
+    if (backend === 'sqlite') {
+        const db = await openDatabase();
+        db.prepare('SELECT 1').get();
+        await fs.access(AUTH_STATE_SQLITE, fs.constants.W_OK);
+    }
+
+    return { backend };
+}
+
+async function removeIfStale(target, ttlMs) {
+    try {
+        const stats = await fs.stat(target);
+        if (Date.now() - stats.mtimeMs < ttlMs) return false;
+        await fs.rm(target, { recursive: true, force: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Remove session data left behind by crashed or killed processes.
+// Covers the temp folders, SQLite rows and legacy ./session_* folders in the working directory.
+export async function sweepAuthStates({ ttlMs = AUTH_STATE_TTL } = {}) {
+    let removed = 0;
+
+    const dirs = await fs.readdir(AUTH_STATE_DIR).catch(() => []);
+    for (const name of dirs) {
+        if (await removeIfStale(path.join(AUTH_STATE_DIR, name), ttlMs)) removed++;
+    }
+
+    const legacy = await fs.readdir('.', { withFileTypes: true }).catch(() => []);
+    for (const entry of legacy) {
+        if (entry.isDirectory() && entry.name.startsWith('session_')) {
+            if (await removeIfStale(entry.name, ttlMs)) removed++;
+        }
+    }
+
+    const hasDatabase = await fs.access(AUTH_STATE_SQLITE).then(() => true, () => false);
+    if (hasDatabase) {
+        try {
+            const db = await openDatabase();
+            const stale = db.prepare(
+                'SELECT session_id FROM auth_state GROUP BY session_id HAVING MAX(updated_at) < ?'
+            ).all(Date.now() - ttlMs);
+            const removeSession = db.prepare('DELETE FROM auth_state WHERE session_id = ?');
+            for (const { session_id: sessionId } of stale) {
+                removeSession.run(sessionId);
+                removed++;
+            }
+        } catch (error) {
+            logger.warn({ err: error }, 'SQLite auth state sweep failed');
+        }
+    }
+
+    return removed;
+}
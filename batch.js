@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import { pairingService, PairingEvents } from './pairing.js';
+import { parsePhoneNumber, PhoneNumberError, maskNumber } from './phone.js';
+import { validatePassphrase } from './sessioncrypto.js';
+import { countSessions, MAX_SESSIONS, SessionLimitError } from './lifecycle.js';
+import { logger } from './logger.js';
+
+// Batch pairing sessions open at once, leaving the rest of MAX_SESSIONS to single pairings
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 2);
+
+// Numbers accepted in one batch
+export const BATCH_MAX_NUMBERS = Number(process.env.BATCH_MAX_NUMBERS || 50);
+
+// Finished batches stay queryable this long
+const BATCH_TTL = Number(process.env.BATCH_TTL || 60 * 60 * 1000);
+
+// Per-number states, in the order a job normally goes through them
+export const JobStates = Object.freeze({
+    QUEUED: 'queued',
+    STARTING: 'starting',
+    CODE_ISSUED: 'code_issued',
+    LINKED: 'linked',
+    FAILED: 'failed',
+    EXPIRED: 'expired'
+});
+
+const FINAL_STATES = [JobStates.LINKED, JobStates.FAILED, JobStates.EXPIRED];
+
+export class BatchError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'BatchError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const log = logger.child({ module: 'batch' });
+
+// Issues phone pairing codes for a list of numbers, a few sessions at a time.
+// Jobs wait while MAX_SESSIONS is reached and go through the per-number rate limits.
+export class BatchQueue {
+    constructor({ service = pairingService, concurrency = BATCH_CONCURRENCY } = {}) {
+        this.service = service;
+        this.concurrency = Math.max(1, Math.min(concurrency, MAX_SESSIONS));
+        this.limiter = null;
+        this.batches = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.jobsBySession = new Map();
+
+        service.on('event', (event) => this.#onEvent(event));
+    }
+
+    // Rate limiter from createRateLimiter(), so batch numbers share the per-number limits
+    useRateLimiter(limiter) {
+        this.limiter = limiter;
+    }
+
+    // Validate and queue a batch. numbers holds strings or { number, country }.
+    // Throws BatchError (or SessionCryptoError for the passphrase) without queueing anything.
+    create(numbers, { country, passphrase, requestId } = {}) {
+        if (!Array.isArray(numbers) || numbers.length === 0) {
+            throw new BatchError('NO_NUMBERS', 'Provide a non-empty "numbers" array');
+        }
+
+        if (numbers.length > BATCH_MAX_NUMBERS) {
+            throw new BatchError('TOO_MANY_NUMBERS', `A batch can hold at most ${BATCH_MAX_NUMBERS} numbers`);
+        }
+
+        if (passphrase !== undefined) validatePassphrase(passphrase);
+
+        const invalid = [];
+        const phones = new Map();
+        for (const entry of numbers) {
+            const input = typeof entry === 'object' && entry !== null ? entry : { number: entry };
+            try {
+                const phone = parsePhoneNumber(String(input.number ?? ''), input.country || country);
+                if (!phones.has(phone.digits)) phones.set(phone.digits, phone);
+            } catch (error) {
+                if (!(error instanceof PhoneNumberError)) throw error;
+                invalid.push({ number: String(input.number ?? ''), code: error.code, message: error.message });
+            }
+        }
+
+        if (invalid.length) {
+            throw new BatchError('INVALID_NUMBERS', `${invalid.length} of ${numbers.length} numbers are invalid`, invalid);
+        }
+
+        this.#prune();
+
+        const batch = {
+            batchId: `batch_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            createdAt: Date.now(),
+            passphrase,
+            requestId,
+            jobs: [...phones.values()].map((phone) => ({
+                number: phone.digits,
+                e164: phone.e164,
+                country: phone.country,
+                state: JobStates.QUEUED,
+                code: null,
+                expiresAt: null,
+                sessionId: null,
+                sessionString: null,
+                reason: null,
+                message: null,
+                updatedAt: Date.now()
+            }))
+        };
+
+        this.batches.set(batch.batchId, batch);
+        this.queue.push(...batch.jobs.map((job) => ({ batch, job })));
+        log.info({ batchId: batch.batchId, count: batch.jobs.length, requestId }, '📦 Batch queued');
+
+        this.#pump();
+        return this.describe(batch.batchId);
+    }
+
+    // Public view of a batch: per-number state, codes and delivered session references
+    describe(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) return null;
+
+        const counts = Object.fromEntries(Object.values(JobStates).map((state) => [state, 0]));
+        batch.jobs.forEach((job) => counts[job.state]++);
+
+        return {
+            batchId,
+            createdAt: new Date(batch.createdAt).toISOString(),
+            total: batch.jobs.length,
+            done: batch.jobs.every((job) => FINAL_STATES.includes(job.state)),
+            counts,
+            jobs: batch.jobs.map(({ updatedAt, ...job }) => ({
+                ...job,
+                updatedAt: new Date(updatedAt).toISOString()
+            }))
+        };
+    }
+
+    #update(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+    }
+
+    // Start queued jobs while there is room in the batch concurrency and the session cap
+    #pump() {
+        while (this.queue.length && this.running < this.concurrency && countSessions() < MAX_SESSIONS) {
+            const { batch, job } = this.queue.shift();
+            this.running++;
+            this.#start(batch, job);
+        }
+    }
+
+    #release() {
+        this.running--;
+        this.#pump();
+    }
+
+    async #start(batch, job) {
+        const jobLog = log.child({ batchId: batch.batchId, number: maskNumber(job.number) });
+
+        try {
+            const limited = await this.limiter?.consumeNumber(job.number);
+            if (limited) {
+                const retryAfter = Math.ceil((limited.resetAt - Date.now()) / 1000);
+                this.#update(job, { state: JobStates.FAILED, reason: 'rate_limited', message: `Too many pairing requests for this number, retry in ${retryAfter} seconds` });
+                return this.#release();
+            }
+
+            this.#update(job, { state: JobStates.STARTING });
+            const { sessionId, code, expiresAt } = await this.service.startPhone(job.e164, {
+                country: job.country,
+                passphrase: batch.passphrase,
+                requestId: batch.requestId
+            });
+
+            this.jobsBySession.set(sessionId, job);
+            this.#update(job, { state: JobStates.CODE_ISSUED, sessionId, code, expiresAt });
+            jobLog.info({ sessionId }, '🔢 Batch pairing code issued');
+        } catch (error) {
+            if (error instanceof SessionLimitError) {
+                // Another client took the last slot meanwhile; wait for the next closed session
+                this.#update(job, { state: JobStates.QUEUED });
+                this.queue.unshift({ batch, job });
+                this.running--;
+                return;
+            }
+
+            jobLog.warn({ err: error }, 'batch pairing failed to start');
+            this.#update(job, { state: JobStates.FAILED, reason: error.code || 'error', message: error.message });
+            this.#release();
+        } finally {
+            // The passphrase is only kept until every job of the batch has started
+            if (!batch.jobs.some((queued) => queued.state === JobStates.QUEUED)) {
+                delete batch.passphrase;
+            }
+        }
+    }
+
+    #onEvent(event) {
+        const job = this.jobsBySession.get(event.sessionId);
+
+        // Codes re-issued through the API replace the one handed out by the batch
+        if (job && event.phase === PairingEvents.PAIRING_CODE) {
+            this.#update(job, { code: event.code, expiresAt: event.expiresAt });
+        }
+
+        if (job && event.phase === PairingEvents.CODE_EXPIRED) {
+            this.#update(job, { code: null });
+        }
+
+        if (job && event.phase === PairingEvents.SESSION_UPLOADED) {
+            this.#update(job, { state: JobStates.LINKED, code: null, sessionString: event.sessionString });
+        }
+
+        if (event.phase !== PairingEvents.CLOSED) return;
+
+        if (job) {
+            this.jobsBySession.delete(event.sessionId);
+            if (job.state !== JobStates.LINKED) {
+                this.#update(job, {
+                    state: event.reason === 'timeout' ? JobStates.EXPIRED : JobStates.FAILED,
+                    code: null,
+                    reason: event.reason,
+                    ...(event.message && { message: event.message })
+                });
+            }
+            log.info({ sessionId: event.sessionId, number: job.number, state: job.state }, 'batch job finished');
+            this.running--;
+        }
+
+        // Any closed session frees a slot under MAX_SESSIONS; it leaves the registry right after this event
+        setImmediate(() => this.#pump());
+    }
+
+    // Drop batches that finished more than BATCH_TTL ago
+    #prune() {
+        const now = Date.now();
+        for (const [batchId, batch] of this.batches) {
+            const finished = batch.jobs.every((job) => FINAL_STATES.includes(job.state));
+            const lastUpdate = Math.max(...batch.jobs.map((job) => job.updatedAt));
+            if (finished && now - lastUpdate > BATCH_TTL) {
+                this.batches.delete(batchId);
+            }
+        }
+    }
+}
+
+export const batchQueue = new BatchQueue();
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// Headless pairing from a terminal: dtz-pair qr | dtz-pair phone <number>
+// dtz-pair clean removes every auth state left on disk
+import { parseArgs } from 'util';
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+
+const USAGE = `Usage:
+  dtz-pair qr [options]
+  dtz-pair phone <number> [--country ISO] [options]
+  dtz-pair clean [--json]     Remove all auth states left behind (stop the server first)
+
+Options:
+  --timeout <time>    Give up after this long: 90, 90s, 2m or 90000ms (default 120s)
+  --out <file>        Write the session ID to this file instead of printing it
+  --storage <name>    Session storage provider: local, mega or s3 (default SESSION_STORAGE,
+                      unset: the session ID is the session string itself)
+  --json              Print one JSON object per line for scripts
+  --verbose           Show server logs
+  -h, --help          Show this help
+
+Set SESSION_PASSPHRASE to protect the stored session with a passphrase.
+
+Exit codes: 0 linked, 1 pairing failed or timed out, 2 invalid usage`;
+
+// "90" and "90s" are seconds, "2m" minutes, "90000ms" milliseconds
+function parseTimeout(value) {
+    const match = /^(\d+)(ms|s|m)?$/.exec(String(value).trim());
+    if (!match) return null;
+    const unit = { ms: 1, s: 1000, m: 60000 }[match[2] || 's'];
+    return Number(match[1]) * unit;
+}
+
+function usageError(message) {
+    console.error(`dtz-pair: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            timeout: { type: 'string', default: '120' },
+            out: { type: 'string' },
+            storage: { type: 'string' },
+            country: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+} catch (error) {
+    usageError(error.message);
+}
+
+const { values: options, positionals: [mode, number] } = args;
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (mode !== 'qr' && mode !== 'phone' && mode !== 'clean') usageError('Choose a command: qr, phone or clean');
+if (mode === 'phone' && !number) usageError('phone needs a number, e.g. dtz-pair phone +94771234567');
+
+const timeoutMs = parseTimeout(options.timeout);
+if (!timeoutMs) usageError(`Invalid --timeout: ${options.timeout}`);
+
+// Kept in step with the providers in storage.js, which cannot be loaded before .env
+const STORAGE_PROVIDERS = ['local', 'mega', 's3'];
+if (options.storage !== undefined && !STORAGE_PROVIDERS.includes(options.storage)) {
+    usageError(`Invalid --storage: ${options.storage} (choose ${STORAGE_PROVIDERS.join(', ')})`);
+}
+
+// quiet: keep stdout clean for --json
+dotenv.config({ quiet: true });
+
+// Set before the modules load so they pick them up
+if (options.storage) process.env.SESSION_STORAGE = options.storage;
+process.env.LOG_LEVEL = options.verbose ? process.env.LOG_LEVEL || 'info' : 'silent';
+
+// Auth states live where .env puts them (AUTH_STATE_DIR, AUTH_STATE_SQLITE), so load it first
+if (mode === 'clean') {
+    const { sweepAuthStates } = await import('./authstate.js');
+    const removed = await sweepAuthStates({ ttlMs: 0 });
+    console.log(options.json ? JSON.stringify({ event: 'cleaned', removed }) : `🧹 Removed ${removed} auth state(s)`);
+    process.exit(0);
+}
+
+const { default: qrcode } = await import('qrcode');
+const { PairingService, PairingEvents } = await import('./pairing.js');
+const { closeAllSessions } = await import('./lifecycle.js');
+const { getStorage, checkStorageSetup } = await import('./storage.js');
+
+// Time the welcome message and session ID need to reach the user's chat before the socket closes
+const DELIVERY_GRACE = 5000;
+
+const passphrase = process.env.SESSION_PASSPHRASE || undefined;
+const service = new PairingService({ qrTimeout: timeoutMs });
+
+// --json: one object per line on stdout; otherwise readable text
+function report(event, data, text) {
+    if (options.json) {
+        console.log(JSON.stringify({ event, ...data }));
+    } else if (text) {
+        console.log(text);
+    }
+}
+
+let linked = false;
+let finishing = false;
+
+async function finish(code) {
+    if (finishing) return;
+    finishing = true;
+    await closeAllSessions();
+    process.exit(code);
+}
+
+async function fail(reason, message) {
+    if (finishing) return;
+    report('failed', { success: false, reason, message }, `❌ ${message}`);
+    await finish(1);
+}
+
+async function showQr(qr, refreshed) {
+    const art = options.json ? null : await qrcode.toString(qr, { type: 'terminal', small: true });
+    report(refreshed ? 'qr_refreshed' : 'qr', { qr }, `${refreshed ? '🔄 QR code refreshed' : '📱 Scan this QR code with WhatsApp > Linked devices'}\n${art}`);
+}
+
+// E.164 form of the number being paired, known once the phone session started
+let e164 = null;
+
+function showCode(code, expiresAt, renewed) {
+    report('pairing_code', { code, expiresAt, number: e164, ...(renewed && { renewed }) },
+        `${renewed ? '🔁 The code expired, new pairing code' : '🔢 Pairing code'} for ${e164}: ${code.match(/.{1,4}/g).join('-')}\n` +
+        '   WhatsApp > Linked devices > Link with phone number instead');
+}
+
+async function start() {
+    checkStorageSetup();
+
+    if (options.storage) {
+        // Fail before pairing rather than after the user has linked their phone
+        await getStorage(options.storage);
+    }
+
+    if (mode === 'qr') {
+        const { sessionId, qr } = await service.startQr({ passphrase });
+        await showQr(qr, false);
+        return sessionId;
+    }
+
+    const started = await service.startPhone(number, { country: options.country, passphrase });
+    e164 = started.e164;
+    showCode(started.code, started.expiresAt, false);
+    return started.sessionId;
+}
+
+let sessionId;
+try {
+    sessionId = await start();
+} catch (error) {
+    await fail(error.code || error.name, error.message);
+}
+
+const deadline = setTimeout(() => fail('timeout', `No link within ${Math.round(timeoutMs / 1000)}s`), timeoutMs);
+
+process.on('SIGINT', async () => {
+    clearTimeout(deadline);
+    await closeAllSessions();
+    process.exit(130);
+});
+
+const unsubscribe = service.subscribe(sessionId, async (event) => {
+    switch (event.phase) {
+        case PairingEvents.QR_REFRESHED:
+            await showQr(service.getSession(sessionId).qr, true);
+            break;
+        case PairingEvents.CODE_EXPIRED:
+            // There is no button to ask for a new code here, so take one while re-issues are left
+            if (event.reissuesLeft > 0) {
+                try {
+                    const { code, expiresAt } = await service.reissueCode(sessionId);
+                    showCode(code, expiresAt, true);
+                } catch (error) {
+                    await fail(error.code || error.name, error.message);
+                }
+            }
+            break;
+        case PairingEvents.RECONNECTING:
+            report('reconnecting', { reason: event.reason }, '🔄 Reconnecting to WhatsApp...');
+            break;
+        case PairingEvents.AUTHENTICATED:
+            report('authenticated', { jid: event.jid }, `✅ Linked${event.jid ? ` as ${event.jid}` : ''}, saving session...`);
+            break;
+        case PairingEvents.SESSION_UPLOADED: {
+            clearTimeout(deadline);
+            linked = true;
+            const { sessionString } = event;
+
+            if (options.out) {
+                try {
+                    await fs.writeFile(options.out, `${sessionString}\n`, { mode: 0o600 });
+                } catch (error) {
+                    await fail('write_failed', `Could not write ${options.out} (${error.message}). Session ID: ${sessionString}`);
+                    break;
+                }
+            }
+
+            report('linked', { success: true, sessionString, ...(options.out && { out: options.out }) },
+                options.out ? `💾 Session ID written to ${options.out}` : `🔑 Session ID:\n${sessionString}`);
+
+            setTimeout(() => finish(0), DELIVERY_GRACE);
+            break;
+        }
+        case PairingEvents.CLOSED:
+            if (linked) break;
+            clearTimeout(deadline);
+            // Includes upload_failed: linked, but the session could not be stored
+            await fail(event.reason, event.message || `Pairing failed (${event.reason})`);
+            break;
+    }
+}, () => {});
+
+// Closed while the QR or code was being shown
+if (!unsubscribe) {
+    const closed = service.getSession(sessionId);
+    await fail(closed?.reason || 'closed', closed?.message || `Pairing failed (${closed?.reason})`);
+}
@@ -0,0 +1,135 @@
+import fs from 'fs';
+
+// Stock branding; config.json (or CONFIG_FILE) and env variables override it
+const DEFAULT_CONFIG = {
+    botName: 'DTZ NOVA X MD',
+    tagline: "Sri Lanka's Best WhatsApp Bot",
+    // Variables: {user}, {sessionId}, {date}, {botName}, {channel}, {owner}
+    welcomeMessage: '✅ *{botName} CONNECTED!*\n\n🤖 Your WhatsApp is now connected to {botName}\n\n📢 Join our channel: {channel}\n\n👤 Contact owner: {owner}\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*',
+    links: {
+        channel: 'https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe',
+        owner: 'https://wa.me/94752978237',
+        github: 'https://github.com/alpha-x-team-ofc/DTZ-NOVA-X-MD'
+    },
+    // Browser identity shown under WhatsApp > Linked Devices: [platform, browser, version]
+    browser: {
+        qr: ['Chrome', 'Windows', '121.0.0.0'],
+        phone: ['Ubuntu', 'Chrome', '121.0.0.0']
+    },
+    branding: {
+        logo: 'https://files.catbox.moe/avflwa.jpg',
+        banner: 'https://files.catbox.moe/g1zze2.jpg',
+        music: 'https://files.catbox.moe/od0rav.mp3',
+        primaryColor: '#05e6ff'
+    }
+};
+
+// Env variable => config path
+const ENV_OVERRIDES = {
+    BOT_NAME: 'botName',
+    BOT_TAGLINE: 'tagline',
+    WELCOME_MESSAGE: 'welcomeMessage',
+    CHANNEL_URL: 'links.channel',
+    OWNER_URL: 'links.owner',
+    GITHUB_URL: 'links.github',
+    BROWSER_QR: 'browser.qr',
+    BROWSER_PHONE: 'browser.phone',
+    LOGO_URL: 'branding.logo',
+    BANNER_URL: 'branding.banner',
+    MUSIC_URL: 'branding.music',
+    PRIMARY_COLOR: 'branding.primaryColor'
+};
+
+let config = null;
+
+function readConfigFile(file) {
+    if (!fs.existsSync(file)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+}
+
+function applyEnv(target) {
+    for (const [name, configPath] of Object.entries(ENV_OVERRIDES)) {
+        const value = process.env[name];
+        if (!value) continue;
+
+        const keys = configPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node[key], target);
+        const current = parent[last];
+
+        if (Array.isArray(current)) {
+            // BROWSER_QR="Chrome,Windows,121.0.0.0"
+            parent[last] = value.split(',').map((part) => part.trim());
+        } else {
+            // .env files cannot hold real newlines, accept \n instead
+            parent[last] = value.replace(/\\n/g, '\n');
+        }
+    }
+    return target;
+}
+
+// Merged configuration, loaded once
+export function getConfig() {
+    if (!config) {
+        const file = readConfigFile(process.env.CONFIG_FILE || './config.json');
+        config = applyEnv({
+            ...DEFAULT_CONFIG,
+            ...file,
+            links: { ...DEFAULT_CONFIG.links, ...file.links },
+            browser: { ...DEFAULT_CONFIG.browser, ...file.browser },
+            branding: { ...DEFAULT_CONFIG.branding, ...file.branding }
+        });
+    }
+    return config;
+}
+
+// Replace {name} variables; unknown variables are left as they are
+export function formatTemplate(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        variables[name] !== undefined ? String(variables[name]) : match
+    ));
+}
+
+export function formatWelcome({ user, sessionId }) {
+    const { welcomeMessage, botName, links } = getConfig();
+    return formatTemplate(welcomeMessage, {
+        user,
+        sessionId: sessionId || '',
+        date: new Date().toLocaleString(),
+        botName,
+        channel: links.channel,
+        owner: links.owner
+    });
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Fill the {{name}} placeholders of the HTML pages
+export function renderPage(html) {
+    const { botName, tagline, links, branding } = getConfig();
+    const values = {
+        botName,
+        tagline,
+        channelUrl: links.channel,
+        ownerUrl: links.owner,
+        githubUrl: links.github,
+        logoUrl: branding.logo,
+        bannerUrl: branding.banner,
+        musicUrl: branding.music,
+        primaryColor: branding.primaryColor
+    };
+
+    return html.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+        values[name] !== undefined ? escapeHtml(values[name]) : match
+    ));
+}
@@ -0,0 +1,117 @@
+import { logger } from './logger.js';
+
+// Error model of the HTTP API. Every failure answers
+// { success: false, error, code, message, ...details } with the HTTP status of its code:
+// error is a short title, code a stable identifier for clients, message is meant for users.
+export const ErrorCodes = Object.freeze({
+    VALIDATION_FAILED: { status: 400, error: 'Invalid request' },
+    INVALID_JSON: { status: 400, error: 'Invalid JSON body' },
+    INVALID_PHONE_NUMBER: { status: 400, error: 'Invalid phone number' },
+    INVALID_PASSPHRASE: { status: 400, error: 'Invalid passphrase' },
+    PASSPHRASE_REQUIRED: { status: 400, error: 'Passphrase required' },
+    SESSION_DECRYPTION_FAILED: { status: 400, error: 'Cannot decrypt session' },
+    INVALID_SESSION_ID: { status: 400, error: 'Invalid session ID' },
+    INVALID_BATCH: { status: 400, error: 'Invalid batch' },
+    UNAUTHORIZED: { status: 401, error: 'Unauthorized' },
+    NOT_FOUND: { status: 404, error: 'Endpoint not found' },
+    SESSION_NOT_FOUND: { status: 404, error: 'Session not found or expired' },
+    QR_NOT_FOUND: { status: 404, error: 'QR code not found' },
+    BATCH_NOT_FOUND: { status: 404, error: 'Batch not found or expired' },
+    STORED_SESSION_NOT_FOUND: { status: 404, error: 'Stored session not found' },
+    ALREADY_REGISTERED: { status: 409, error: 'Already registered' },
+    REISSUE_NOT_ALLOWED: { status: 409, error: 'Cannot issue a new code' },
+    QR_EXPIRED: { status: 410, error: 'QR code no longer valid' },
+    PAYLOAD_TOO_LARGE: { status: 413, error: 'Request body too large' },
+    RATE_LIMITED: { status: 429, error: 'Too many requests' },
+    SESSION_LIMIT: { status: 429, error: 'Server busy' },
+    VERIFY_BUSY: { status: 429, error: 'Server busy' },
+    REISSUE_LIMIT: { status: 429, error: 'Too many new codes' },
+    INTERNAL_ERROR: { status: 500, error: 'Internal server error' },
+    QR_FAILED: { status: 500, error: 'Failed to generate QR code' },
+    ENCRYPTION_UNAVAILABLE: { status: 500, error: 'Session encryption misconfigured' },
+    SESSION_FAILED: { status: 502, error: 'Session failed' },
+    SESSION_CLOSED: { status: 502, error: 'Connection closed' },
+    PAIRING_CODE_FAILED: { status: 502, error: 'Phone pairing failed' },
+    WHATSAPP_UNREACHABLE: { status: 502, error: 'WhatsApp unreachable' },
+    STORAGE_FAILED: { status: 502, error: 'Session storage failed' },
+    ADMIN_DISABLED: { status: 503, error: 'Admin API disabled' },
+    QR_TIMEOUT: { status: 504, error: 'QR code timeout' },
+    VERIFY_TIMEOUT: { status: 504, error: 'Verification timeout' }
+});
+
+export class ApiError extends Error {
+    // details are merged into the response body; retryAfter (seconds) sets Retry-After
+    constructor(code, message, { details, retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = ErrorCodes[code] ? code : 'INTERNAL_ERROR';
+        this.status = ErrorCodes[this.code].status;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            error: ErrorCodes[this.code].error,
+            code: this.code,
+            message: this.message,
+            ...this.details
+        };
+    }
+}
+
+// API codes by SessionCryptoError code, the other crypto codes are SESSION_DECRYPTION_FAILED
+const CRYPTO_CODES = {
+    WEAK_PASSPHRASE: 'INVALID_PASSPHRASE',
+    PASSPHRASE_REQUIRED: 'PASSPHRASE_REQUIRED',
+    KEY_MISSING: 'ENCRYPTION_UNAVAILABLE',
+    INVALID_KEY: 'ENCRYPTION_UNAVAILABLE'
+};
+
+// API codes by VerifyError code
+const VERIFY_CODES = {
+    NOT_FOUND: 'STORED_SESSION_NOT_FOUND',
+    BUSY: 'VERIFY_BUSY',
+    STORAGE_FAILED: 'STORAGE_FAILED',
+    UNREACHABLE: 'WHATSAPP_UNREACHABLE',
+    TIMEOUT: 'VERIFY_TIMEOUT'
+};
+
+// Domain errors by class name, so this module needs none of them imported.
+// A domain code that is more specific than the API code is kept as "reason".
+const DOMAIN_ERRORS = {
+    PhoneNumberError: (error) => new ApiError('INVALID_PHONE_NUMBER', error.message, { details: { reason: error.code } }),
+    SessionCryptoError: (error) => new ApiError(CRYPTO_CODES[error.code] || 'SESSION_DECRYPTION_FAILED', error.message, { details: { reason: error.code } }),
+    SessionStringError: (error) => new ApiError('INVALID_SESSION_ID', error.message),
+    SessionLimitError: (error) => new ApiError('SESSION_LIMIT', `${error.message}. Please try again in ${error.retryAfter} seconds.`, { retryAfter: error.retryAfter }),
+    BatchError: (error) => new ApiError('INVALID_BATCH', error.message, { details: { reason: error.code, ...(error.details && { invalid: error.details }) } }),
+    VerifyError: (error) => new ApiError(VERIFY_CODES[error.code], error.message, { ...(error.code === 'BUSY' && { retryAfter: 30 }) }),
+    PairingError: (error) => new ApiError(error.code, error.message)
+};
+
+// Turn any thrown error into an ApiError; unknown errors become INTERNAL_ERROR without leaking their message
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    const fromDomain = DOMAIN_ERRORS[error?.name];
+    if (fromDomain) return fromDomain(error);
+
+    // body-parser failures
+    if (error?.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', 'The request body is not valid JSON');
+    if (error?.type === 'entity.too.large') return new ApiError('PAYLOAD_TOO_LARGE', 'The request body is too large');
+
+    return new ApiError('INTERNAL_ERROR', 'Something went wrong. Please try again later.');
+}
+
+// Answer a request with the error; unexpected errors are logged with the request ID
+export function sendError(res, error) {
+    const apiError = toApiError(error);
+    if (apiError.code === 'INTERNAL_ERROR' && apiError !== error) {
+        (res.req?.log || logger).error({ err: error }, '💥 Server error');
+    }
+    if (apiError.retryAfter) {
+        res.setHeader('Retry-After', String(apiError.retryAfter));
+    }
+    return res.status(apiError.status).json(apiError.toJSON());
+}
@@ -0,0 +1,64 @@
+import { getStorage, storageName } from './storage.js';
+import { checkAuthStateStore } from './authstate.js';
+import { countSessions, MAX_SESSIONS } from './lifecycle.js';
+import { withTimeout } from './timeout.js';
+
+// A dependency that does not answer within this time counts as down
+const CHECK_TIMEOUT = 10000;
+
+// Remote storage is probed at most this often, health checks can arrive every few seconds
+const STORAGE_CHECK_TTL = Number(process.env.READY_STORAGE_CHECK_TTL || 30000);
+
+let storageCheck = null;
+
+// Run one check as { status: 'ok' | 'fail', latencyMs, ...details, error? }
+async function runCheck(check) {
+    const startedAt = Date.now();
+    try {
+        const details = await withTimeout(check(), CHECK_TIMEOUT);
+        return { status: 'ok', latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { status: 'fail', latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+function checkStorage() {
+    if (!storageCheck || Date.now() - storageCheck.checkedAt > STORAGE_CHECK_TTL) {
+        storageCheck = {
+            checkedAt: Date.now(),
+            result: runCheck(async () => {
+                // Session IDs are delivered inline, there is nothing to reach
+                if (!storageName()) return { backend: 'inline' };
+                const storage = await getStorage();
+                await storage.check();
+                return { backend: storage.name };
+            })
+        };
+    }
+    return storageCheck.result;
+}
+
+// Per-component readiness; ready only when every component is ok.
+// Session capacity is reported beside the checks: a full server is busy, not broken,
+// and failing readiness for it would get the instance restarted mid-pairing.
+export async function checkReadiness({ pairRouterError = null } = {}) {
+    const [storage, authState] = await Promise.all([
+        checkStorage(),
+        runCheck(() => checkAuthStateStore())
+    ]);
+    const active = countSessions();
+
+    const checks = {
+        pairRouter: pairRouterError
+            ? { status: 'fail', error: pairRouterError.message }
+            : { status: 'ok' },
+        storage,
+        authState
+    };
+
+    return {
+        ready: Object.values(checks).every((check) => check.status === 'ok'),
+        checks,
+        sessions: { active, max: MAX_SESSIONS, full: active >= MAX_SESSIONS }
+    };
+}
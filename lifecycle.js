@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+import { createSessionLogger } from './logger.js';
+
+// Store active sessions
+const activeSessions = new Map();
+
+// Every session event, for listeners that follow all sessions at once
+export const sessionEvents = new EventEmitter();
+
+// Outcome of recently closed sessions, so clients can still ask how a pairing ended
+const closedSessions = new Map();
+const CLOSED_SESSION_TTL = 10 * 60 * 1000;
+
+// Outcomes of the last 24 hours, oldest first, for the admin statistics
+const recentOutcomes = [];
+const OUTCOME_HISTORY = 24 * 60 * 60 * 1000;
+
+// package.json "config.max_sessions" is exposed by npm as npm_package_config_max_sessions
+export const MAX_SESSIONS = Number(
+    process.env.MAX_SESSIONS || process.env.npm_package_config_max_sessions || 5
+);
+
+export class SessionLimitError extends Error {
+    constructor() {
+        super(`Maximum of ${MAX_SESSIONS} concurrent pairing sessions reached`);
+        this.name = 'SessionLimitError';
+        this.retryAfter = 30;
+    }
+}
+
+// Reserve a slot for a new pairing session, throws SessionLimitError when the cap is reached.
+// Pass info.requestId to tie the session's logs to the HTTP request that opened it.
+export function openSession(sessionId, { requestId, ...info } = {}) {
+    if (activeSessions.size >= MAX_SESSIONS) {
+        throw new SessionLimitError();
+    }
+
+    const session = {
+        sessionId,
+        bot: null,
+        connected: false,
+        createdAt: Date.now(),
+        phase: 'created',
+        events: [],
+        emitter: new EventEmitter(),
+        timers: new Set(),
+        log: createSessionLogger(sessionId, { requestId }),
+        ...info
+    };
+
+    activeSessions.set(sessionId, session);
+    return session;
+}
+
+export function getSession(sessionId) {
+    return activeSessions.get(sessionId);
+}
+
+export function getClosedSession(sessionId) {
+    return closedSessions.get(sessionId);
+}
+
+export function countSessions() {
+    return activeSessions.size;
+}
+
+export function listSessions() {
+    return [...activeSessions.values()];
+}
+
+// Linked/failed counts for the last hour and day, with the failure reasons
+export function getSessionStats() {
+    const now = Date.now();
+    const stats = {
+        lastHour: { linked: 0, failed: 0 },
+        last24Hours: { linked: 0, failed: 0 },
+        failureReasons: {}
+    };
+
+    for (const { outcome, reason, closedAt } of recentOutcomes) {
+        if (now - closedAt > OUTCOME_HISTORY) continue;
+
+        stats.last24Hours[outcome]++;
+        if (now - closedAt <= 60 * 60 * 1000) stats.lastHour[outcome]++;
+        if (outcome === 'failed') {
+            stats.failureReasons[reason] = (stats.failureReasons[reason] || 0) + 1;
+        }
+    }
+
+    return stats;
+}
+
+// Record a pairing phase (created, connecting, reconnecting, qr, qr_refreshed, pairing_code,
+// authenticated, session_uploaded, timeout, closed) and push it to every subscriber
+export function emitSessionEvent(sessionId, phase, data = {}) {
+    const session = activeSessions.get(sessionId);
+    if (!session) return;
+
+    const event = { phase, sessionId, timestamp: new Date().toISOString(), ...data };
+    session.phase = phase;
+    session.events.push(event);
+    session.emitter.emit('event', event);
+    sessionEvents.emit('event', event);
+}
+
+// Replay past events to a new subscriber and follow the live ones until the session closes
+export function subscribeSession(sessionId, onEvent, onEnd) {
+    const session = activeSessions.get(sessionId);
+    if (!session) return null;
+
+    session.events.forEach(onEvent);
+    session.emitter.on('event', onEvent);
+    session.emitter.once('end', onEnd);
+
+    return () => {
+        session.emitter.off('event', onEvent);
+        session.emitter.off('end', onEnd);
+    };
+}
+
+// Run a callback later, cancelled automatically when the session closes
+export function scheduleSession(sessionId, ms, callback) {
+    const session = activeSessions.get(sessionId);
+    if (!session) return;
+
+    const timer = setTimeout(() => {
+        session.timers.delete(timer);
+        callback();
+    }, ms);
+    session.timers.add(timer);
+}
+
+// Close one session: stop its socket, destroy its auth state and evict it.
+// Pass logout to unlink the device as well (never after a successful pairing,
+// that would invalidate the delivered session), and message to tell the user why it ended.
+// failed marks a linked session as failed, e.g. when its session ID could not be stored.
+export async function closeSession(sessionId, { logout = false, reason = 'closed', message, failed = false } = {}) {
+    const session = activeSessions.get(sessionId);
+    if (!session) return;
+
+    const outcome = session.connected && !failed ? 'linked' : 'failed';
+    emitSessionEvent(sessionId, 'closed', { reason, outcome, ...(message && { message }) });
+    activeSessions.delete(sessionId);
+    rememberClosedSession(session, outcome, reason, message);
+    session.emitter.emit('end');
+    session.emitter.removeAllListeners();
+    session.timers.forEach(clearTimeout);
+    session.timers.clear();
+
+    if (session.bot) {
+        try {
+            if (logout) {
+                await session.bot.logout();
+            } else {
+                session.bot.end(undefined);
+            }
+        } catch (error) {
+            session.log.warn({ err: error }, 'socket close failed');
+        }
+    }
+
+    try {
+        await session.authState?.destroy();
+        session.log.info({ reason, outcome }, '🧹 Session closed and cleaned up');
+    } catch (error) {
+        session.log.warn({ err: error }, 'auth state cleanup failed');
+    }
+}
+
+function rememberClosedSession(session, outcome, reason, message) {
+    const now = Date.now();
+
+    for (const [sessionId, closed] of closedSessions) {
+        if (now - closed.closedAt > CLOSED_SESSION_TTL) {
+            closedSessions.delete(sessionId);
+        }
+    }
+
+    while (recentOutcomes.length && now - recentOutcomes[0].closedAt > OUTCOME_HISTORY) {
+        recentOutcomes.shift();
+    }
+    recentOutcomes.push({ outcome, reason, closedAt: now });
+
+    closedSessions.set(session.sessionId, {
+        sessionId: session.sessionId,
+        method: session.method,
+        number: session.number,
+        connected: session.connected,
+        outcome,
+        phase: 'closed',
+        reason,
+        message,
+        sessionString: session.sessionString,
+        closedAt: now
+    });
+}
+
+export async function closeAllSessions() {
+    await Promise.all([...activeSessions.keys()].map((sessionId) => closeSession(sessionId, { reason: 'shutdown' })));
+}
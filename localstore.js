@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { SessionStringError } from './session.js';
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Session storage provider that keeps each session blob as a file on this server
+export function createLocalStorage({ dir = process.env.SESSION_STORAGE_DIR || './session' } = {}) {
+    const resolveFile = (id) => {
+        if (!ID_PATTERN.test(id)) {
+            throw new SessionStringError('Invalid local session id');
+        }
+        return path.join(dir, `${id}.txt`);
+    };
+
+    return {
+        name: 'local',
+
+        async put(sessionBlob) {
+            const id = crypto.randomBytes(16).toString('hex');
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(resolveFile(id), sessionBlob, { mode: 0o600 });
+            return id;
+        },
+
+        async get(id) {
+            return fs.readFile(resolveFile(id), 'utf-8');
+        },
+
+        async check() {
+            const probe = path.join(dir, '.healthcheck');
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(probe, String(Date.now()));
+            await fs.rm(probe, { force: true });
+        }
+    };
+}
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import pino from 'pino';
+import { maskNumber } from './phone.js';
+
+// Levels Baileys logs at for a session, normally and with debugging switched on
+export const SOCKET_LOG_LEVEL = process.env.SOCKET_LOG_LEVEL || 'fatal';
+export const SOCKET_DEBUG_LEVEL = 'debug';
+
+// Phone numbers never reach the logs in full
+const REDACTED_PATHS = ['number', '*.number', 'phone', '*.phone', 'query.number'];
+
+export const logger = pino({
+    level: process.env.LOG_LEVEL || 'info',
+    base: { service: 'dtz-nova-x-md' },
+    redact: {
+        paths: REDACTED_PATHS,
+        censor: (value) => (typeof value === 'string' || typeof value === 'number' ? maskNumber(String(value)) : '[Redacted]')
+    }
+});
+
+// Child logger for one pairing session, bound to the request that started it
+export function createSessionLogger(sessionId, { requestId } = {}) {
+    return logger.child({ sessionId, ...(requestId && { requestId }) });
+}
+
+// Logger handed to the Baileys socket of a session. Its level can be raised
+// later (see setSocketLogLevel) to debug a single session without noise from the rest.
+export function createSocketLogger(sessionLogger, { debug = false } = {}) {
+    return sessionLogger.child({ module: 'baileys' }, { level: debug ? SOCKET_DEBUG_LEVEL : SOCKET_LOG_LEVEL });
+}
+
+// Express middleware: gives every request an ID (X-Request-Id, kept if the
+// client or proxy sent one) and a req.log child logger, and logs the response
+export function requestLogger() {
+    return (req, res, next) => {
+        // Routers add this too so they work on their own; only the first one counts
+        if (req.log) return next();
+
+        const incoming = req.get('x-request-id');
+        req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            req.log.info({
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+            }, 'request completed');
+        });
+
+        next();
+    };
+}
@@ -1,43 +1,73 @@
 import * as mega from 'megajs';
+import { Readable } from 'stream';
+import { SessionStringError } from './session.js';
 
-// Mega authentication credentials
-const auth = {
-    email: 'camalkaakash2@gmail.com', // Replace with your Mega email
-    password: 'dulina2011@##DULA-MD', // Replace with your Mega password
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/42.0.2311.135 Safari/537.36 Edge/12.246'
-};
+const MEGA_FILE_URL = 'https://mega.nz/file/';
+
+// "<handle>#<key>" of a file link: 8 and 43 base64url characters
+const ID_PATTERN = /^[\w-]{8}#[\w-]{43}$/;
+
+// Mega authentication credentials (MEGA_EMAIL / MEGA_PASSWORD in .env)
+function getAuth() {
+    if (!process.env.MEGA_EMAIL || !process.env.MEGA_PASSWORD) {
+        throw new Error('MEGA_EMAIL and MEGA_PASSWORD must be set to use Mega storage');
+    }
+
+    return {
+        email: process.env.MEGA_EMAIL,
+        password: process.env.MEGA_PASSWORD,
+        userAgent: process.env.MEGA_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/42.0.2311.135 Safari/537.36 Edge/12.246'
+    };
+}
+
+// End a Mega session. Logging out is a request of its own; its failure is of no interest
+// and must not surface as an unhandled rejection.
+function closeStorage(storage) {
+    storage?.close(() => {});
+}
 
 // Function to upload a file to Mega and return the URL
 export const upload = (data, name) => {
     return new Promise((resolve, reject) => {
+        let storage;
+
+        // Close the storage session on every outcome, a failed login included
+        const fail = (error) => {
+            closeStorage(storage);
+            reject(error);
+        };
+
         try {
             // Authenticate with Mega storage
-            const storage = new mega.Storage(auth, () => {
-                // Upload the data stream (e.g., file stream) to Mega
-                const uploadStream = storage.upload({ name: name, allowUploadBuffering: true });
+            storage = new mega.Storage(getAuth(), (loginError) => {
+                if (loginError) return fail(loginError);
 
-                // Pipe the data into Mega
-                data.pipe(uploadStream);
+                try {
+                    // Upload the data stream (e.g., file stream) to Mega
+                    const uploadStream = storage.upload({ name: name, allowUploadBuffering: true });
+                    uploadStream.on("error", fail);
+
+                    // Pipe the data into Mega
+                    data.pipe(uploadStream);
+                } catch (err) {
+                    return fail(err);
+                }
 
                 // When the file is successfully uploaded, resolve with the file's URL
                 storage.on("add", (file) => {
                     file.link((err, url) => {
-                        if (err) {
-                            reject(err); // Reject if there's an error getting the link
-                        } else {
-                            storage.close(); // Close the storage session once the file is uploaded
-                            resolve(url); // Return the file's link
-                        }
-                    });
-                });
+                        if (err) return fail(err); // Reject if there's an error getting the link
 
-                // Handle errors during file upload process
-                storage.on("error", (error) => {
-                    reject(error);
+                        closeStorage(storage); // Close the storage session once the file is uploaded
+                        resolve(url); // Return the file's link
+                    });
                 });
             });
+
+            // Handle errors during login and the file upload process
+            storage.on("error", fail);
         } catch (err) {
-            reject(err); // Reject if any error occurs during the upload process
+            fail(err); // Reject if any error occurs during the upload process
         }
     });
 };
@@ -70,3 +100,48 @@ export const download = (url) => {
     });
 };
 
+// Session storage provider backed by Mega; ids are the "<handle>#<key>" part of the file link
+export function createMegaStorage() {
+    getAuth();
+
+    return {
+        name: 'mega',
+
+        async put(sessionBlob) {
+            const url = await upload(Readable.from([Buffer.from(sessionBlob)]), `session_${Date.now()}.txt`);
+            return url.startsWith(MEGA_FILE_URL) ? url.slice(MEGA_FILE_URL.length) : url;
+        },
+
+        async get(id) {
+            // Full file links are accepted too
+            const handle = id.startsWith(MEGA_FILE_URL) ? id.slice(MEGA_FILE_URL.length) : id;
+            if (!ID_PATTERN.test(handle)) {
+                throw new SessionStringError('Invalid Mega session id');
+            }
+
+            const buffer = await download(MEGA_FILE_URL + handle);
+            return buffer.toString('utf-8');
+        },
+
+        // Logging in proves the account is reachable; uploads need free space left
+        check() {
+            return new Promise((resolve, reject) => {
+                const storage = new mega.Storage(getAuth(), (error) => {
+                    if (error) {
+                        closeStorage(storage);
+                        return reject(error);
+                    }
+
+                    storage.getAccountInfo((infoError, account) => {
+                        closeStorage(storage);
+                        if (infoError) return reject(infoError);
+                        if (account.spaceUsed >= account.spaceTotal) {
+                            return reject(new Error('Mega account is out of storage space'));
+                        }
+                        resolve();
+                    });
+                });
+            });
+        }
+    };
+}
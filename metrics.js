@@ -0,0 +1,175 @@
+// Minimal Prometheus registry: counters, gauges and histograms in the text exposition format
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label set
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = seriesKey(labels);
+        const current = this.series.get(key);
+        this.series.set(key, { labels, value: (current?.value || 0) + value });
+    }
+
+    lines() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+// Gauges read their value at scrape time
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    lines() {
+        return [`${this.name} ${this.collect()}`];
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = seriesKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+export class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    #register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.#register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.#register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.#register(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        return this.metrics
+            .flatMap((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()])
+            .join('\n') + '\n';
+    }
+}
+
+export const registry = new Registry();
+
+const SECONDS_BUCKETS = [1, 2, 5, 10, 20, 30, 45, 60, 90, 120, 180];
+
+export const pairingMetrics = {
+    attempts: registry.counter('pairing_attempts_total', 'Pairing sessions started, by method'),
+    successes: registry.counter('pairing_successes_total', 'Pairings linked to WhatsApp, by method'),
+    failures: registry.counter('pairing_failures_total', 'Pairing sessions that ended without a link, by method and reason'),
+    reconnects: registry.counter('pairing_reconnects_total', 'Socket reconnects during pairing, by disconnect reason'),
+    codesExpired: registry.counter('pairing_codes_expired_total', 'Phone pairing codes that expired before being entered'),
+    codesReissued: registry.counter('pairing_codes_reissued_total', 'Phone pairing codes issued again for the same session'),
+    rateLimited: registry.counter('pairing_rate_limit_rejections_total', 'Pairing requests rejected by the rate limiter, by scope'),
+    timeToQr: registry.histogram('pairing_time_to_qr_seconds', 'Time from session start to the first QR code', SECONDS_BUCKETS),
+    timeToConnect: registry.histogram('pairing_time_to_connect_seconds', 'Time from session start to a confirmed link, by method', SECONDS_BUCKETS)
+};
+
+registry.gauge('process_uptime_seconds', 'Process uptime', () => Math.floor(process.uptime()));
+registry.gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+// Failure reasons come from DisconnectReason names and our own close reasons;
+// anything free-form (error messages) is folded into "other" to bound the label values
+const reasonLabel = (reason) => (/^[A-Za-z_]{1,40}$/.test(reason || '') ? reason : 'other');
+
+// Follow a PairingService and record its sessions
+export function instrumentPairing(service, { countSessions, maxSessions }) {
+    registry.gauge('pairing_sessions_active', 'Pairing sessions currently open', countSessions);
+    registry.gauge('pairing_sessions_max', 'Maximum concurrent pairing sessions', () => maxSessions);
+
+    service.on('event', (event) => {
+        const session = service.getSession(event.sessionId);
+        if (!session) return;
+
+        const method = session.method;
+        const elapsed = (Date.parse(event.timestamp) - session.createdAt) / 1000;
+
+        switch (event.phase) {
+            case 'created':
+                pairingMetrics.attempts.inc({ method });
+                break;
+            case 'reconnecting':
+                pairingMetrics.reconnects.inc({ reason: reasonLabel(event.reason) });
+                break;
+            case 'qr':
+                pairingMetrics.timeToQr.observe({}, elapsed);
+                break;
+            case 'pairing_code':
+                if (session.reissues > 0) pairingMetrics.codesReissued.inc();
+                break;
+            case 'code_expired':
+                pairingMetrics.codesExpired.inc();
+                break;
+            case 'authenticated':
+                pairingMetrics.successes.inc({ method });
+                pairingMetrics.timeToConnect.observe({ method }, elapsed);
+                break;
+            case 'closed':
+                if (event.outcome === 'failed') {
+                    pairingMetrics.failures.inc({ method, reason: reasonLabel(event.reason) });
+                }
+                break;
+        }
+    });
+}
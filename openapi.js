@@ -0,0 +1,221 @@
+import { ApiError, ErrorCodes, sendError } from './errors.js';
+
+// Every documented route, in registration order; the OpenAPI document and the
+// endpoint lists (/api/test, 404 responses, startup log) are built from it
+const operations = [];
+
+// Security schemes by the auth names used in route specs
+const SECURITY_SCHEMES = {
+    admin: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN (also accepted as X-Admin-Token)' },
+    metrics: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, only when it is set' }
+};
+
+// Optional passphrase header of the routes that store or read a session
+export const PASSPHRASE_HEADER = {
+    name: 'X-Session-Passphrase',
+    in: 'header',
+    required: false,
+    description: 'Encrypts the stored session end to end (at least 8 characters)',
+    schema: { type: 'string' }
+};
+
+// Check one value against a schema subset: type, enum, pattern, minLength/maxLength,
+// minimum/maximum, items/minItems/maxItems, properties/required and oneOf.
+// Query and path values are strings, so numbers and booleans are checked in their text form.
+function checkValue(schema, value, name, { fromText = false } = {}) {
+    if (schema.oneOf) {
+        return schema.oneOf.some((option) => checkValue(option, value, name, { fromText }).length === 0)
+            ? []
+            : [`${name} does not match any allowed form`];
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return [`${name} must be a string`];
+            if (schema.enum && !schema.enum.includes(value)) return [`${name} must be one of: ${schema.enum.join(', ')}`];
+            if (schema.minLength !== undefined && value.length < schema.minLength) return [`${name} must have at least ${schema.minLength} characters`];
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return [`${name} must have at most ${schema.maxLength} characters`];
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) return [`${name} has an invalid format`];
+            return [];
+        case 'integer':
+        case 'number': {
+            const number = fromText && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || Number.isNaN(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+                return [`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+            }
+            if (schema.minimum !== undefined && number < schema.minimum) return [`${name} must be at least ${schema.minimum}`];
+            if (schema.maximum !== undefined && number > schema.maximum) return [`${name} must be at most ${schema.maximum}`];
+            return [];
+        }
+        case 'boolean':
+            return typeof value === 'boolean' || (fromText && (value === 'true' || value === 'false'))
+                ? []
+                : [`${name} must be true or false`];
+        case 'array':
+            if (!Array.isArray(value)) return [`${name} must be an array`];
+            if (schema.minItems !== undefined && value.length < schema.minItems) return [`${name} must have at least ${schema.minItems} items`];
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) return [`${name} must have at most ${schema.maxItems} items`];
+            return schema.items ? value.flatMap((item, i) => checkValue(schema.items, item, `${name}[${i}]`)) : [];
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return [`${name} must be an object`];
+            const missing = (schema.required || [])
+                .filter((key) => value[key] === undefined)
+                .map((key) => `${name}.${key} is required`);
+            const invalid = Object.entries(schema.properties || {})
+                .filter(([key]) => value[key] !== undefined)
+                .flatMap(([key, property]) => checkValue(property, value[key], `${name}.${key}`));
+            return [...missing, ...invalid];
+        }
+        default:
+            return [];
+    }
+}
+
+// Parameters are declared as { name: { ...schema, required?, description? } }
+function checkParameters(declared = {}, values, location) {
+    return Object.entries(declared).flatMap(([name, { required, description, ...schema }]) => {
+        const value = values[name];
+        if (value === undefined || value === '') {
+            return required || location === 'path' ? [`${location} parameter ${name} is required`] : [];
+        }
+        return checkValue(schema, value, `${location} parameter ${name}`, { fromText: true });
+    });
+}
+
+// Express middleware rejecting requests that do not match a route spec
+export function validateRequest(spec) {
+    return (req, res, next) => {
+        const problems = [
+            ...checkParameters(spec.params, req.params, 'path'),
+            ...checkParameters(spec.query, req.query, 'query'),
+            ...(spec.body ? checkValue(spec.body, req.body, 'body') : [])
+        ];
+
+        if (problems.length) {
+            return sendError(res, new ApiError('VALIDATION_FAILED', problems[0], { details: { problems } }));
+        }
+        next();
+    };
+}
+
+// Register routes on an Express app or router and document them at once.
+// A spec holds summary, description, tag, auth ('admin' | 'metrics'), params, query, body,
+// responses ({ status: description | { description, content } }) and errors (ErrorCodes names).
+// Requests are validated against params, query and body before the handlers run;
+// middleware in spec.before (authentication) runs ahead of that validation.
+export function documentRoutes(router, prefix = '', defaults = {}) {
+    const register = (method) => (path, { before = [], ...spec }, ...handlers) => {
+        const operation = {
+            ...defaults,
+            ...spec,
+            errors: [...(defaults.errors || []), ...(spec.errors || [])],
+            method,
+            path: `${prefix}${path}`
+        };
+        operations.push(operation);
+
+        const validate = operation.params || operation.query || operation.body ? [validateRequest(operation)] : [];
+        router[method](path, ...before, ...validate, ...handlers);
+    };
+
+    return {
+        get: register('get'),
+        post: register('post'),
+        delete: register('delete')
+    };
+}
+
+// "GET /api/code/qr/:sessionId" for every documented route, optionally under one prefix
+export function listEndpoints(prefix = '') {
+    return operations
+        .filter((operation) => operation.path.startsWith(prefix))
+        .map((operation) => `${operation.method.toUpperCase()} ${operation.path}`);
+}
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function toParameters(declared = {}, location) {
+    return Object.entries(declared).map(([name, { required, description, ...schema }]) => ({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(required),
+        ...(description && { description }),
+        schema
+    }));
+}
+
+function toResponses(operation) {
+    const responses = {};
+
+    for (const [status, response] of Object.entries(operation.responses || { 200: 'Success' })) {
+        const { description, content = 'application/json' } = typeof response === 'string' ? { description: response } : response;
+        responses[status] = {
+            description,
+            content: { [content]: { schema: content === 'application/json' ? { type: 'object' } : { type: 'string' } } }
+        };
+    }
+
+    // Error responses grouped by status, listing the codes each status can carry
+    const codes = new Set(operation.errors || []);
+    if (operation.params || operation.query || operation.body) codes.add('VALIDATION_FAILED');
+    if (operation.body) codes.add('INVALID_JSON');
+    if (operation.auth === 'admin') codes.add('UNAUTHORIZED');
+
+    for (const code of codes) {
+        const { status } = ErrorCodes[code];
+        responses[status] ??= {
+            description: '',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+        responses[status].description = [responses[status].description, code].filter(Boolean).join(', ');
+    }
+
+    return responses;
+}
+
+// OpenAPI 3 document of every route documented so far
+export function buildOpenApiDocument({ title, version, description } = {}) {
+    const paths = {};
+
+    for (const operation of operations) {
+        const path = toOpenApiPath(operation.path);
+        paths[path] ??= {};
+        paths[path][operation.method] = {
+            ...(operation.tag && { tags: [operation.tag] }),
+            summary: operation.summary,
+            ...(operation.description && { description: operation.description }),
+            ...(operation.auth && { security: [{ [operation.auth]: [] }] }),
+            parameters: [
+                ...toParameters(operation.params, 'path'),
+                ...toParameters(operation.query, 'query'),
+                ...(operation.headers || [])
+            ],
+            ...(operation.body && {
+                requestBody: { required: true, content: { 'application/json': { schema: operation.body } } }
+            }),
+            responses: toResponses(operation)
+        };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version, ...(description && { description }) },
+        paths,
+        components: {
+            securitySchemes: SECURITY_SCHEMES,
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['success', 'error', 'code', 'message'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string', description: 'Short title' },
+                        code: { type: 'string', enum: Object.keys(ErrorCodes) },
+                        message: { type: 'string', description: 'Explanation for the user' },
+                        reason: { type: 'string', description: 'More specific code, e.g. TOO_SHORT for INVALID_PHONE_NUMBER' }
+                    }
+                }
+            }
+        }
+    };
+}
@@ -1,284 +1,370 @@
 import express from 'express';
-import fs from 'fs/promises';
-import pino from 'pino';
 import qrcode from 'qrcode';
-import { 
-    makeWASocket, 
-    useMultiFileAuthState, 
-    delay,
-    makeCacheableSignalKeyStore,
-    DisconnectReason
-} from '@whiskeysockets/baileys';
+import { pairingService, PairingEvents, MAX_CODE_REISSUES } from './pairing.js';
+import { requestLogger } from './logger.js';
+import { listCountries } from './phone.js';
+import { isAdminRequest } from './admin.js';
+import { batchQueue, BATCH_MAX_NUMBERS, JobStates } from './batch.js';
+import { ApiError, sendError } from './errors.js';
+import { documentRoutes, listEndpoints, PASSPHRASE_HEADER } from './openapi.js';
 
 const router = express.Router();
+router.use(requestLogger());
 
-// Store active sessions
-const activeSessions = new Map();
+const api = documentRoutes(router, '/api/code', { tag: 'Pairing' });
 
-async function cleanupSession(sessionDir) {
+// Lookup keys are generated by the server, anything else cannot exist
+const SESSION_ID = { type: 'string', pattern: '^session_\\w{1,64}$', description: 'Pairing session ID' };
+
+const COUNTRY = { type: 'string', pattern: '^\\+?[A-Za-z0-9]{1,3}$', description: 'ISO code or dial code for national numbers' };
+
+// Admin-only ?debug=true switch of both pairing methods
+const DEBUG_QUERY = { type: 'boolean', description: 'Baileys socket logs for this session (admin token required)' };
+
+// Optional passphrase for end-to-end protected sessions. Sent as a header so it
+// never ends up in access logs; the server forgets it once the session is stored.
+const getPassphrase = (req) => req.get('x-session-passphrase') || undefined;
+
+// Options shared by both pairing methods. ?debug=true (admin token required)
+// turns on Baileys socket logs for this one session.
+const startOptions = (req) => ({
+    passphrase: getPassphrase(req),
+    requestId: req.id,
+    debug: req.query.debug === 'true' && isAdminRequest(req)
+});
+
+// QR Code pairing endpoint
+api.get('/qr', {
+    summary: 'Start a QR pairing session',
+    query: { debug: DEBUG_QUERY },
+    headers: [PASSPHRASE_HEADER],
+    responses: { 200: 'First QR code as a data URL, with the session ID' },
+    errors: ['INVALID_PASSPHRASE', 'RATE_LIMITED', 'SESSION_LIMIT', 'QR_FAILED', 'SESSION_FAILED', 'SESSION_CLOSED', 'QR_TIMEOUT']
+}, async (req, res) => {
     try {
-        await fs.rm(sessionDir, { recursive: true, force: true });
-        activeSessions.delete(sessionDir);
-        console.log(`🧹 Cleaned up session: ${sessionDir}`);
+        const { sessionId, qrCode, expiresAt } = await pairingService.startQr(startOptions(req));
+
+        req.log.info({ sessionId }, '✅ QR code sent to client');
+        res.json({
+            success: true,
+            qrCode,
+            sessionId,
+            expiresAt,
+            message: 'Scan this QR code with WhatsApp'
+        });
     } catch (error) {
-        console.log('Cleanup warning:', error.message);
+        sendError(res, error);
     }
-}
+});
+
+// Latest QR code of a session as a data URL (default), PNG or SVG
+api.get('/qr/:sessionId', {
+    summary: 'Latest QR code of a session',
+    params: { sessionId: SESSION_ID },
+    query: { format: { type: 'string', enum: ['dataurl', 'png', 'svg'], description: 'Defaults to dataurl' } },
+    responses: { 200: 'QR code as JSON with a data URL, or as a PNG or SVG image' },
+    errors: ['QR_NOT_FOUND', 'QR_EXPIRED', 'QR_FAILED']
+}, async (req, res) => {
+    const { sessionId } = req.params;
+    const { format = 'dataurl' } = req.query;
+    const session = pairingService.isActive(sessionId) && pairingService.getSession(sessionId);
+
+    if (!session || !session.qr) {
+        return sendError(res, new ApiError('QR_NOT_FOUND', 'Session not found, expired or no QR code issued yet'));
+    }
+
+    if (session.connected) {
+        return sendError(res, new ApiError('QR_EXPIRED', 'WhatsApp is already linked for this session'));
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
 
-// QR Code pairing endpoint
-router.get('/qr', async (req, res) => {
-    console.log('📡 QR code endpoint hit');
-    
-    const sessionId = 'session_' + Date.now();
-    const sessionDir = `./${sessionId}`;
-
-    console.log('🔐 Starting QR pairing session');
-    
     try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-        
-        const socketConfig = {
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "silent" })),
-            },
-            printQRInTerminal: true,
-            logger: pino({ level: "silent" }),
-            browser: ["Chrome", "Windows", "121.0.0.0"],
-            markOnlineOnConnect: false,
-            generateHighQualityLinkPreview: false,
-        };
+        if (format === 'png') {
+            return res.type('png').send(await qrcode.toBuffer(session.qr));
+        }
 
-        const bot = makeWASocket(socketConfig);
-
-        let qrGenerated = false;
-
-        bot.ev.on('creds.update', saveCreds);
-
-        bot.ev.on("connection.update", async (update) => {
-            const { connection, lastDisconnect, qr } = update;
-            
-            console.log(`🔗 Connection state: ${connection}`);
-
-            if (qr && !qrGenerated) {
-                console.log('📱 QR Code received');
-                qrGenerated = true;
-                
-                try {
-                    // Generate QR code as data URL
-                    const qrImage = await qrcode.toDataURL(qr);
-                    
-                    // Store session info
-                    activeSessions.set(sessionId, {
-                        bot,
-                        sessionDir,
-                        connected: false
-                    });
-
-                    console.log('✅ QR code generated and sent to client');
-                    res.json({
-                        success: true,
-                        qrCode: qrImage,
-                        sessionId: sessionId,
-                        message: 'Scan this QR code with WhatsApp'
-                    });
-
-                } catch (qrError) {
-                    console.error('QR generation error:', qrError);
-                    if (!res.headersSent) {
-                        res.status(500).json({ 
-                            success: false,
-                            error: 'Failed to generate QR code',
-                            message: 'Please try again'
-                        });
-                    }
-                }
-            }
-
-            if (connection === "open") {
-                console.log('✅ WhatsApp connected successfully!');
-                
-                const session = activeSessions.get(sessionId);
-                if (session) {
-                    session.connected = true;
-                    
-                    // Send welcome message
-                    try {
-                        const botInfo = bot.user;
-                        if (botInfo && botInfo.id) {
-                            await bot.sendMessage(botInfo.id, { 
-                                text: `✅ *DTZ NOVA X MD CONNECTED!*\n\n🤖 Your WhatsApp is now connected to DTZ NOVA X MD\n\n📢 Join our channel: https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe\n\n👤 Contact owner: wa.me/94752978237\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
-                            });
-                            console.log('📨 Welcome message sent');
-                        }
-                    } catch (msgError) {
-                        console.log('Message send warning:', msgError.message);
-                    }
-
-                    // Keep session alive for 30 seconds
-                    setTimeout(async () => {
-                        await cleanupSession(sessionDir);
-                        process.exit(0);
-                    }, 30000);
-                }
-            }
+        if (format === 'svg') {
+            return res.type('svg').send(await qrcode.toString(session.qr, { type: 'svg' }));
+        }
 
-            if (connection === "close") {
-                console.log('❌ Connection closed');
-                await cleanupSession(sessionDir);
-            }
+        res.json({
+            success: true,
+            sessionId,
+            qrCode: await qrcode.toDataURL(session.qr),
+            updatedAt: new Date(session.qrUpdatedAt).toISOString(),
+            expiresAt: new Date(session.createdAt + pairingService.qrTimeout).toISOString()
         });
+    } catch (qrError) {
+        req.log.error({ err: qrError, sessionId }, 'QR image generation failed');
+        sendError(res, new ApiError('QR_FAILED', 'Please try again'));
+    }
+});
 
-        // Timeout if no QR code in 30 seconds
-        setTimeout(() => {
-            if (!qrGenerated && !res.headersSent) {
-                console.log('⏰ QR generation timeout');
-                res.status(408).json({ 
-                    success: false,
-                    error: 'QR code timeout',
-                    message: 'Please try generating a new QR code'
-                });
-                cleanupSession(sessionDir);
-            }
-        }, 30000);
+// Phone number pairing endpoint
+api.get('/phone', {
+    summary: 'Start a phone number pairing session',
+    query: {
+        number: { type: 'string', required: true, maxLength: 32, description: 'International, or national with country' },
+        country: COUNTRY,
+        debug: DEBUG_QUERY
+    },
+    headers: [PASSPHRASE_HEADER],
+    responses: { 200: 'Pairing code to enter in WhatsApp, with the session ID, its expiry and the re-issues left' },
+    errors: ['INVALID_PHONE_NUMBER', 'INVALID_PASSPHRASE', 'RATE_LIMITED', 'SESSION_LIMIT', 'ALREADY_REGISTERED', 'SESSION_FAILED', 'SESSION_CLOSED', 'PAIRING_CODE_FAILED']
+}, async (req, res) => {
+    const { number, country } = req.query;
+
+    try {
+        const result = await pairingService.startPhone(number, { country, ...startOptions(req) });
+        req.log.info({ sessionId: result.sessionId }, '✅ Pairing code sent to client');
 
+        res.json({
+            success: true,
+            code: result.code,
+            sessionId: result.sessionId,
+            expiresAt: result.expiresAt,
+            reissuesLeft: result.reissuesLeft,
+            message: 'Use this code in WhatsApp: Linked Devices → Link a Device',
+            number: result.number,
+            e164: result.e164,
+            country: result.country
+        });
     } catch (error) {
-        console.error('💥 QR Session error:', error);
-        await cleanupSession(sessionDir);
-        
-        if (!res.headersSent) {
-            res.status(500).json({ 
-                success: false,
-                error: 'Session failed',
-                message: 'Please try again'
-            });
-        }
+        sendPhoneError(req, res, error);
     }
 });
 
-// Phone number pairing endpoint
-router.get('/phone', async (req, res) => {
-    console.log('📡 Phone pairing endpoint hit');
-    
-    const { number } = req.query;
-    
-    if (!number) {
-        return res.status(400).json({ 
-            success: false,
-            error: 'Phone number required',
-            message: 'Please provide a phone number parameter'
+// Fresh pairing code on the same socket and auth state, for a code that expired before it was entered
+api.post('/phone/:sessionId/reissue', {
+    summary: 'Request a new pairing code for a phone session',
+    description: `Allowed ${MAX_CODE_REISSUES} times per session. The previous code stops being valid.`,
+    params: { sessionId: SESSION_ID },
+    responses: { 200: 'New pairing code with its expiry and the re-issues left' },
+    errors: ['SESSION_NOT_FOUND', 'REISSUE_NOT_ALLOWED', 'REISSUE_LIMIT', 'PAIRING_CODE_FAILED']
+}, async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const { code, expiresAt, reissuesLeft } = await pairingService.reissueCode(sessionId);
+        req.log.info({ sessionId, reissuesLeft }, '✅ New pairing code sent to client');
+
+        res.json({
+            success: true,
+            code,
+            sessionId,
+            expiresAt,
+            reissuesLeft,
+            message: 'Use this new code in WhatsApp: Linked Devices → Link a Device'
         });
+    } catch (error) {
+        sendPhoneError(req, res, error);
     }
+});
 
-    const cleanNumber = number.replace(/\D/g, '');
-    const sessionDir = `./session_${cleanNumber}_${Date.now()}`;
+// WhatsApp refusing a code is not worth retrying, point the user to the QR method
+function sendPhoneError(req, res, error) {
+    if (error.code === 'PAIRING_CODE_FAILED' || error.code === 'SESSION_FAILED') {
+        req.log.warn({ err: error }, 'phone pairing unavailable');
+        return sendError(res, new ApiError(error.code, 'Phone pairing is not available right now. Please use the QR code method instead.', {
+            details: { alternative: '/api/code/qr' }
+        }));
+    }
 
-    console.log(`📞 Attempting phone pairing for: ${cleanNumber}`);
+    sendError(res, error);
+}
 
-    try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-        
-        const socketConfig = {
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" })),
-            },
-            printQRInTerminal: false,
-            logger: pino({ level: "fatal" }),
-            browser: ["Ubuntu", "Chrome", "121.0.0.0"],
-            connectTimeoutMs: 30000,
-        };
+// Batches return pairing codes and session references, so they need the admin token
+function requireAdmin(req, res, next) {
+    if (!isAdminRequest(req)) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'Batch pairing needs a valid admin token'));
+    }
+    next();
+}
 
-        const bot = makeWASocket(socketConfig);
-
-        bot.ev.on('creds.update', saveCreds);
-
-        if (!bot.authState.creds.registered) {
-            await delay(3000);
-            
-            try {
-                const pairingCode = await bot.requestPairingCode(cleanNumber);
-                console.log(`✅ Pairing code generated: ${pairingCode}`);
-                
-                res.json({
-                    success: true,
-                    code: pairingCode,
-                    message: 'Use this code in WhatsApp: Linked Devices → Link a Device',
-                    number: cleanNumber
-                });
-
-                // Set cleanup timeout
-                setTimeout(async () => {
-                    await cleanupSession(sessionDir);
-                    process.exit(0);
-                }, 45000);
-
-            } catch (pairError) {
-                console.error('❌ Pairing error:', pairError.message);
-                await cleanupSession(sessionDir);
-                
-                res.json({
-                    success: false,
-                    error: 'Phone pairing failed',
-                    message: 'Please use QR code method instead',
-                    alternative: '/api/code/qr'
-                });
-            }
-        } else {
-            await cleanupSession(sessionDir);
-            res.json({
-                success: false,
-                error: 'Already registered',
-                message: 'This number appears to be already registered'
-            });
+// Queue phone pairing for many numbers: { "numbers": ["+94...", { "number": "077...", "country": "LK" }], "country": "LK" }
+api.post('/batch', {
+    summary: 'Queue phone pairing for a list of numbers',
+    auth: 'admin',
+    before: [requireAdmin],
+    headers: [PASSPHRASE_HEADER],
+    body: {
+        type: 'object',
+        required: ['numbers'],
+        properties: {
+            numbers: {
+                type: 'array',
+                minItems: 1,
+                maxItems: BATCH_MAX_NUMBERS,
+                items: {
+                    oneOf: [
+                        { type: 'string', maxLength: 32 },
+                        { type: 'object', required: ['number'], properties: { number: { type: 'string', maxLength: 32 }, country: COUNTRY } }
+                    ]
+                }
+            },
+            country: COUNTRY
         }
+    },
+    responses: { 202: 'Batch ID and status URL' },
+    errors: ['INVALID_BATCH', 'INVALID_PASSPHRASE']
+}, (req, res) => {
+    try {
+        const batch = batchQueue.create(req.body?.numbers, {
+            country: req.body?.country,
+            passphrase: getPassphrase(req),
+            requestId: req.id
+        });
 
-    } catch (error) {
-        console.error('💥 Phone pairing failed:', error);
-        await cleanupSession(sessionDir);
-        
-        res.json({
-            success: false,
-            error: 'Phone pairing not available',
-            message: 'Please use QR code method',
-            qrEndpoint: '/api/code/qr'
+        req.log.info({ batchId: batch.batchId, total: batch.total }, '📦 Batch pairing queued');
+        res.status(202).json({
+            success: true,
+            batchId: batch.batchId,
+            total: batch.total,
+            statusUrl: `${req.baseUrl}/batch/${batch.batchId}`,
+            message: 'Pairing codes are issued as session slots free up'
         });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
+// Per-number state of a batch: queued, starting, code_issued, linked, failed or expired
+api.get('/batch/:batchId', {
+    summary: 'Per-number state of a batch',
+    description: `Job states: ${Object.values(JobStates).join(', ')}`,
+    auth: 'admin',
+    before: [requireAdmin],
+    params: { batchId: { type: 'string', pattern: '^batch_\\w{1,64}$' } },
+    responses: { 200: 'Counts per state and every job with its code or session reference' },
+    errors: ['BATCH_NOT_FOUND']
+}, (req, res) => {
+    const batch = batchQueue.describe(req.params.batchId);
+
+    if (!batch) {
+        return sendError(res, new ApiError('BATCH_NOT_FOUND', 'The batch does not exist or finished too long ago'));
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ success: true, ...batch });
+});
+
+// Countries with their own number checks, used by the country pickers.
+// Numbers from other countries pair too when entered in international format.
+api.get('/countries', {
+    summary: 'Countries with per-country number checks for phone pairing'
+}, (req, res) => {
+    res.json({
+        success: true,
+        countries: listCountries()
+    });
+});
+
+// Expiry of what the user is being shown: the pairing code, or the whole QR session
+function expiryOf(session) {
+    if (session.method === 'phone') {
+        return {
+            expiresAt: session.codeExpiresAt ? new Date(session.codeExpiresAt).toISOString() : null,
+            reissuesLeft: MAX_CODE_REISSUES - session.reissues
+        };
+    }
+    return { expiresAt: new Date(session.createdAt + pairingService.qrTimeout).toISOString() };
+}
+
 // Check connection status endpoint
-router.get('/status/:sessionId', async (req, res) => {
+api.get('/status/:sessionId', {
+    summary: 'Pairing state of a session',
+    params: { sessionId: SESSION_ID },
+    responses: { 200: 'Phase, outcome, the code or QR expiry while pending and, once linked, the session ID' },
+    errors: ['SESSION_NOT_FOUND']
+}, async (req, res) => {
     const { sessionId } = req.params;
-    console.log(`📡 Status check for session: ${sessionId}`);
-    
-    const session = activeSessions.get(sessionId);
-    
+
+    const session = pairingService.getSession(sessionId);
+
     if (!session) {
-        return res.json({ 
-            success: false,
-            connected: false, 
-            error: 'Session not found or expired' 
-        });
+        return sendError(res, new ApiError('SESSION_NOT_FOUND', 'The pairing session does not exist or closed too long ago'));
+    }
+
+    let message = session.method === 'phone' ? 'Waiting for pairing code entry...' : 'Waiting for QR scan...';
+    if (session.outcome === 'failed') {
+        message = session.message || `Pairing failed: ${session.reason}`;
+    } else if (session.connected) {
+        message = 'WhatsApp connected successfully!';
+    } else if (session.phase === PairingEvents.CODE_EXPIRED) {
+        message = 'The pairing code expired. Request a new one to keep pairing.';
     }
-    
-    res.json({ 
+
+    res.json({
         success: true,
         connected: session.connected,
-        message: session.connected ? 'WhatsApp connected successfully!' : 'Waiting for QR scan...'
+        method: session.method,
+        phase: session.phase,
+        outcome: session.outcome || 'pending',
+        reason: session.reason || null,
+        sessionString: session.sessionString || null,
+        ...(pairingService.isActive(sessionId) && !session.connected && expiryOf(session)),
+        message
+    });
+});
+
+// Live pairing progress as Server-Sent Events
+api.get('/events/:sessionId', {
+    summary: 'Live pairing progress as Server-Sent Events',
+    params: { sessionId: SESSION_ID },
+    responses: { 200: { description: 'One event per pairing phase until the session closes', content: 'text/event-stream' } },
+    errors: ['SESSION_NOT_FOUND']
+}, (req, res) => {
+    const { sessionId } = req.params;
+    const session = pairingService.getSession(sessionId);
+
+    if (!session) {
+        return sendError(res, new ApiError('SESSION_NOT_FOUND', 'The pairing session does not exist or closed too long ago'));
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Already finished: report how it ended, with the session ID for a client that missed it, and stop
+    if (!pairingService.isActive(sessionId)) {
+        const event = {
+            phase: 'closed',
+            sessionId,
+            reason: session.reason,
+            outcome: session.outcome,
+            message: session.message,
+            sessionString: session.sessionString || null
+        };
+        res.write(`event: closed\ndata: ${JSON.stringify(event)}\n\n`);
+        return res.end();
+    }
+
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const unsubscribe = pairingService.subscribe(
+        sessionId,
+        (event) => res.write(`event: ${event.phase}\ndata: ${JSON.stringify(event)}\n\n`),
+        () => res.end()
+    );
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
     });
 });
 
 // Test endpoint
-router.get('/test', (req, res) => {
-    res.json({ 
+api.get('/test', {
+    summary: 'Check that the pair router is loaded'
+}, (req, res) => {
+    res.json({
         success: true,
         message: 'Pair router is working!',
-        endpoints: [
-            'GET /api/code/qr',
-            'GET /api/code/phone?number=PHONE',
-            'GET /api/code/status/:sessionId',
-            'GET /api/code/test'
-        ]
+        endpoints: listEndpoints('/api/code')
     });
 });
 
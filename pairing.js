@@ -0,0 +1,526 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import qrcode from 'qrcode';
+import {
+    makeWASocket,
+    delay,
+    makeCacheableSignalKeyStore,
+    DisconnectReason
+} from '@whiskeysockets/baileys';
+import { encodeSession } from './session.js';
+import { createAuthState } from './authstate.js';
+import { storeSession } from './storage.js';
+import { validatePassphrase } from './sessioncrypto.js';
+import { getConfig, formatWelcome } from './config.js';
+import { parsePhoneNumber } from './phone.js';
+import { withTimeout } from './timeout.js';
+import { createSocketLogger, SOCKET_DEBUG_LEVEL } from './logger.js';
+import {
+    openSession,
+    getSession,
+    getClosedSession,
+    closeSession,
+    scheduleSession,
+    emitSessionEvent,
+    subscribeSession,
+    sessionEvents
+} from './lifecycle.js';
+
+// Overall deadline for a QR session; WhatsApp rotates the QR until then
+export const QR_TIMEOUT = Number(process.env.QR_TIMEOUT || 120000);
+
+// How long WhatsApp may take to issue the first QR code
+const QR_WAIT_TIMEOUT = 30000;
+
+// How long a phone pairing code may stay unused
+const PHONE_CODE_TIMEOUT = 45000;
+
+// How long a session whose code expired stays open for a re-issue
+const REISSUE_WINDOW = 60000;
+
+// Fresh pairing codes a phone session may request after its first one
+export const MAX_CODE_REISSUES = Number(process.env.PAIRING_MAX_REISSUES || 3);
+
+// How long storing the paired session may take before the pairing counts as failed
+const UPLOAD_TIMEOUT = Number(process.env.SESSION_UPLOAD_TIMEOUT || 60000);
+
+// Reconnects allowed per session for restartable disconnects
+export const MAX_RECONNECTS = Number(process.env.PAIRING_MAX_RECONNECTS || 3);
+
+// Events emitted by PairingService, one per pairing phase
+export const PairingEvents = Object.freeze({
+    CREATED: 'created',
+    CONNECTING: 'connecting',
+    RECONNECTING: 'reconnecting',
+    QR: 'qr',
+    QR_REFRESHED: 'qr_refreshed',
+    PAIRING_CODE: 'pairing_code',
+    CODE_EXPIRED: 'code_expired',
+    AUTHENTICATED: 'authenticated',
+    SESSION_UPLOADED: 'session_uploaded',
+    UPLOAD_FAILED: 'upload_failed',
+    TIMEOUT: 'timeout',
+    CLOSED: 'closed'
+});
+
+const SOCKET_OPTIONS = {
+    qr: {
+        printQRInTerminal: true,
+        browser: getConfig().browser.qr,
+        markOnlineOnConnect: false,
+        generateHighQualityLinkPreview: false,
+    },
+    phone: {
+        printQRInTerminal: false,
+        browser: getConfig().browser.phone,
+        connectTimeoutMs: 30000,
+    }
+};
+
+export class PairingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PairingError';
+        this.code = code;
+    }
+}
+
+// Session IDs are the only key to a session's status and events, so they carry 128 random bits
+function createSessionId(label) {
+    const suffix = `${Date.now()}_${crypto.randomBytes(16).toString('hex')}`;
+    return label ? `session_${label}_${suffix}` : `session_${suffix}`;
+}
+
+// Disconnects that only need a new socket on the same auth state. WhatsApp sends
+// restartRequired right after a successful scan or code entry, the others are network trouble.
+const RESTARTABLE_DISCONNECTS = new Set([
+    DisconnectReason.restartRequired,
+    DisconnectReason.connectionClosed,
+    DisconnectReason.connectionLost,
+    DisconnectReason.timedOut,
+    DisconnectReason.unavailableService
+]);
+
+// What the user is told when a disconnect ends the pairing
+const DISCONNECT_MESSAGES = {
+    [DisconnectReason.loggedOut]: 'WhatsApp logged this device out. Please start a new pairing.',
+    [DisconnectReason.badSession]: 'WhatsApp rejected the session data. Please start a new pairing.',
+    [DisconnectReason.connectionReplaced]: 'Another connection replaced this one. Close other pairing tabs and try again.',
+    [DisconnectReason.multideviceMismatch]: 'This WhatsApp account does not support linked devices.',
+    [DisconnectReason.forbidden]: 'WhatsApp refused the connection for this account.'
+};
+
+// Classify a closed connection by lastDisconnect.error.output.statusCode.
+// reason is the DisconnectReason name, e.g. "loggedOut" or "restartRequired".
+export function classifyDisconnect(lastDisconnect) {
+    const statusCode = lastDisconnect?.error?.output?.statusCode;
+    return {
+        statusCode,
+        reason: DisconnectReason[statusCode] || lastDisconnect?.error?.message || 'connection_closed',
+        restartable: RESTARTABLE_DISCONNECTS.has(statusCode),
+        message: DISCONNECT_MESSAGES[statusCode] || 'The connection to WhatsApp was closed. Please try again.'
+    };
+}
+
+// Owns the whole pairing flow between a caller (HTTP, CLI, tests) and Baileys:
+// socket creation, auth state, timeouts, the session registry and cleanup.
+export class PairingService extends EventEmitter {
+    constructor({
+        makeSocket = makeWASocket,
+        qrTimeout = QR_TIMEOUT,
+        codeTimeout = PHONE_CODE_TIMEOUT,
+        reissueWindow = REISSUE_WINDOW,
+        uploadTimeout = UPLOAD_TIMEOUT
+    } = {}) {
+        super();
+        this.makeSocket = makeSocket;
+        this.qrTimeout = qrTimeout;
+        this.codeTimeout = codeTimeout;
+        this.reissueWindow = reissueWindow;
+        this.uploadTimeout = uploadTimeout;
+
+        sessionEvents.on('event', (event) => {
+            this.emit('event', event);
+            this.emit(event.phase, event);
+        });
+    }
+
+    // Start a QR session, resolves with the first QR code.
+    // With a passphrase the stored session can only be decrypted by its owner.
+    // requestId ties the session logs to a request, debug turns on Baileys socket logs.
+    async startQr({ passphrase, requestId, debug = false } = {}) {
+        if (passphrase !== undefined) validatePassphrase(passphrase);
+
+        const sessionId = createSessionId();
+        const { log } = openSession(sessionId, { method: 'qr', passphrase, requestId, debug, reconnects: 0 });
+        emitSessionEvent(sessionId, PairingEvents.CREATED, { method: 'qr' });
+
+        log.info('🔐 Starting QR pairing session');
+
+        const firstQr = this.#waitForPhase(sessionId, [PairingEvents.QR, PairingEvents.CLOSED]);
+
+        try {
+            await this.#connect(sessionId);
+        } catch (error) {
+            log.error({ err: error }, '💥 QR session failed to start');
+            await closeSession(sessionId, { reason: 'error' });
+            throw new PairingError('SESSION_FAILED', 'Could not start a WhatsApp session');
+        }
+
+        scheduleSession(sessionId, QR_WAIT_TIMEOUT, () => {
+            if (!getSession(sessionId)?.qr) {
+                log.warn('⏰ QR generation timeout');
+                this.#expire(sessionId);
+            }
+        });
+
+        // Stop rotating the QR once the overall deadline has passed
+        scheduleSession(sessionId, this.qrTimeout, () => {
+            if (!getSession(sessionId)?.connected) {
+                log.info('⏰ QR session deadline reached');
+                this.#expire(sessionId);
+            }
+        });
+
+        const event = await firstQr;
+        if (event.phase === PairingEvents.CLOSED) {
+            throw event.reason === 'timeout'
+                ? new PairingError('QR_TIMEOUT', 'WhatsApp did not issue a QR code in time')
+                : new PairingError('SESSION_CLOSED', `Connection closed before a QR code was issued: ${event.reason}`);
+        }
+
+        const session = getSession(sessionId);
+        try {
+            return {
+                sessionId,
+                qr: session.qr,
+                qrCode: await qrcode.toDataURL(session.qr),
+                expiresAt: new Date(session.createdAt + this.qrTimeout).toISOString()
+            };
+        } catch (qrError) {
+            log.error({ err: qrError }, 'QR image generation failed');
+            throw new PairingError('QR_FAILED', 'Failed to generate QR code');
+        }
+    }
+
+    // Start a phone number session, resolves with the pairing code.
+    // Throws PhoneNumberError before any socket is opened when the number is invalid.
+    async startPhone(number, { country, passphrase, requestId, debug = false } = {}) {
+        const phone = parsePhoneNumber(number, country);
+        if (passphrase !== undefined) validatePassphrase(passphrase);
+
+        // The number stays out of the ID, session IDs end up in logs and URLs
+        const cleanNumber = phone.digits;
+        const sessionId = createSessionId('phone');
+        const { log } = openSession(sessionId, { method: 'phone', number: cleanNumber, passphrase, requestId, debug, reconnects: 0, reissues: 0, codes: 0 });
+        emitSessionEvent(sessionId, PairingEvents.CREATED, { method: 'phone' });
+
+        log.info({ number: cleanNumber, country: phone.country }, '📞 Starting phone pairing session');
+
+        let bot;
+        try {
+            bot = await this.#connect(sessionId);
+        } catch (error) {
+            log.error({ err: error }, '💥 Phone session failed to start');
+            await closeSession(sessionId, { reason: 'error' });
+            throw new PairingError('SESSION_FAILED', 'Could not start a WhatsApp session');
+        }
+
+        if (bot.authState.creds.registered) {
+            await closeSession(sessionId, { reason: 'already_registered' });
+            throw new PairingError('ALREADY_REGISTERED', 'This number appears to be already registered');
+        }
+
+        await delay(3000);
+
+        // The socket may have been replaced by a reconnect, or the session closed, meanwhile
+        if (!getSession(sessionId)) {
+            const closed = getClosedSession(sessionId);
+            throw new PairingError('SESSION_CLOSED', `Connection closed before a pairing code was issued: ${closed?.reason}`);
+        }
+
+        const { code, expiresAt, reissuesLeft } = await this.#issueCode(sessionId);
+        return { sessionId, code, expiresAt, reissuesLeft, number: cleanNumber, e164: phone.e164, country: phone.country };
+    }
+
+    // Request a fresh pairing code on the same socket and auth state, typically after
+    // CODE_EXPIRED. A phone session may do this MAX_CODE_REISSUES times.
+    async reissueCode(sessionId) {
+        const session = getSession(sessionId);
+
+        if (!session) {
+            throw new PairingError('SESSION_NOT_FOUND', 'The pairing session does not exist or has already closed');
+        }
+        if (session.method !== 'phone') {
+            throw new PairingError('REISSUE_NOT_ALLOWED', 'Only phone number sessions use pairing codes');
+        }
+        if (session.connected) {
+            throw new PairingError('REISSUE_NOT_ALLOWED', 'WhatsApp is already linked for this session');
+        }
+        if (session.requestingCode) {
+            throw new PairingError('REISSUE_NOT_ALLOWED', 'A pairing code is already being requested for this session');
+        }
+        if (session.reissues >= MAX_CODE_REISSUES) {
+            throw new PairingError('REISSUE_LIMIT', `A session can request at most ${MAX_CODE_REISSUES} new pairing codes. Please start again.`);
+        }
+
+        session.reissues++;
+        session.log.info({ reissue: session.reissues }, '🔁 Re-issuing pairing code');
+        return this.#issueCode(sessionId);
+    }
+
+    // Active session, or the outcome of a recently closed one
+    getSession(sessionId) {
+        return getSession(sessionId) || getClosedSession(sessionId);
+    }
+
+    isActive(sessionId) {
+        return Boolean(getSession(sessionId));
+    }
+
+    subscribe(sessionId, onEvent, onEnd) {
+        return subscribeSession(sessionId, onEvent, onEnd);
+    }
+
+    close(sessionId, options) {
+        return closeSession(sessionId, options);
+    }
+
+    // Raise (or lower) the Baileys log level of one running session while debugging it
+    setSocketLogLevel(sessionId, level = SOCKET_DEBUG_LEVEL) {
+        const session = getSession(sessionId);
+        if (!session?.socketLog) return false;
+
+        session.socketLog.level = level;
+        session.log.info({ socketLevel: level }, 'socket log level changed');
+        return true;
+    }
+
+    // Create a socket for the session. Reconnects reuse the auth state, so a
+    // scan or code entry made on the previous socket still completes the link.
+    async #connect(sessionId) {
+        const session = getSession(sessionId);
+        const { log } = session;
+        session.authState ??= await createAuthState(sessionId);
+        session.socketLog ??= createSocketLogger(log, { debug: session.debug });
+        const { state, saveCreds } = session.authState;
+
+        const bot = this.makeSocket({
+            auth: {
+                creds: state.creds,
+                keys: makeCacheableSignalKeyStore(state.keys, session.socketLog),
+            },
+            logger: session.socketLog,
+            ...SOCKET_OPTIONS[session.method]
+        });
+        session.bot = bot;
+
+        bot.ev.on('creds.update', saveCreds);
+
+        bot.ev.on("connection.update", async (update) => {
+            const { connection, lastDisconnect, qr } = update;
+
+            // Ignore a socket that has been replaced or a session that is already closed
+            if (getSession(sessionId)?.bot !== bot) return;
+
+            if (connection) log.debug({ connection }, '🔗 Connection state changed');
+
+            if (connection === "connecting") {
+                emitSessionEvent(sessionId, PairingEvents.CONNECTING);
+            }
+
+            // Keep the latest QR so it can always be served in a scannable state
+            const current = getSession(sessionId);
+            if (qr && current && current.method === 'qr') {
+                const refreshed = Boolean(current.qr);
+                current.qr = qr;
+                current.qrUpdatedAt = Date.now();
+
+                log.info(refreshed ? '📱 QR code refreshed' : '📱 QR code received');
+                emitSessionEvent(sessionId, refreshed ? PairingEvents.QR_REFRESHED : PairingEvents.QR);
+            }
+
+            if (connection === "open") {
+                await this.#complete(sessionId, bot, saveCreds);
+            }
+
+            if (connection === "close") {
+                await this.#handleDisconnect(sessionId, lastDisconnect);
+            }
+        });
+
+        return bot;
+    }
+
+    async #handleDisconnect(sessionId, lastDisconnect) {
+        const session = getSession(sessionId);
+        const { statusCode, reason, restartable, message } = classifyDisconnect(lastDisconnect);
+
+        if (restartable && session.reconnects < MAX_RECONNECTS) {
+            session.reconnects++;
+            session.log.info({ reason, statusCode, attempt: session.reconnects }, '🔄 Reconnecting');
+            emitSessionEvent(sessionId, PairingEvents.RECONNECTING, { reason, attempt: session.reconnects });
+
+            // restartRequired is expected and immediate; back off on network trouble
+            if (statusCode !== DisconnectReason.restartRequired) {
+                await delay(1000 * session.reconnects);
+                if (getSession(sessionId) !== session) return;
+            }
+
+            try {
+                await this.#connect(sessionId);
+            } catch (error) {
+                session.log.error({ err: error }, '💥 Reconnect failed');
+                await closeSession(sessionId, { reason: 'reconnect_failed', message: 'Could not reconnect to WhatsApp. Please try again.' });
+            }
+            return;
+        }
+
+        session.log.info({ reason, statusCode, reconnects: session.reconnects }, '❌ Connection closed');
+        await closeSession(sessionId, {
+            reason: restartable ? 'reconnect_limit' : reason,
+            message: restartable ? 'WhatsApp kept dropping the connection. Please try again.' : message
+        });
+    }
+
+    // Runs once WhatsApp confirms the link: welcome the user and deliver their session ID
+    async #complete(sessionId, bot, saveCreds) {
+        const session = getSession(sessionId);
+        if (!session || session.connected) return;
+
+        const { log } = session;
+        log.info('✅ WhatsApp connected successfully');
+
+        session.connected = true;
+        emitSessionEvent(sessionId, PairingEvents.AUTHENTICATED, { jid: bot.user?.id });
+
+        // Pack and encrypt the paired credentials and upload them. A hung upload must not
+        // hold a session slot, and without a session ID the link is of no use to the user.
+        try {
+            await saveCreds();
+            const { passphrase } = session;
+            delete session.passphrase;
+            const sessionString = encodeSession(await session.authState.snapshot());
+            session.sessionString = await withTimeout(
+                storeSession(sessionString, { passphrase }),
+                this.uploadTimeout,
+                `Session upload did not finish within ${this.uploadTimeout / 1000}s`
+            );
+            emitSessionEvent(sessionId, PairingEvents.SESSION_UPLOADED, { sessionString: session.sessionString });
+        } catch (sessionError) {
+            log.error({ err: sessionError }, 'session upload failed');
+            const message = 'WhatsApp was linked, but your Session ID could not be saved. Please pair again.';
+            emitSessionEvent(sessionId, PairingEvents.UPLOAD_FAILED, { message });
+            // Nobody holds these credentials, so unlink the device they belong to
+            await closeSession(sessionId, { reason: 'upload_failed', message, failed: true, logout: true });
+            return;
+        }
+
+        // Welcome the user and deliver the session ID to their own chat
+        const botInfo = bot.user;
+        if (botInfo && botInfo.id) {
+            try {
+                await bot.sendMessage(botInfo.id, {
+                    text: formatWelcome({
+                        user: botInfo.name || botInfo.id.split(/[:@]/)[0],
+                        sessionId: session.sessionString
+                    })
+                });
+                log.info('📨 Welcome message sent');
+            } catch (msgError) {
+                log.warn({ err: msgError }, 'welcome message failed');
+            }
+
+            try {
+                await bot.sendMessage(botInfo.id, { text: session.sessionString });
+                log.info('🔑 Session ID delivered');
+            } catch (sessionError) {
+                log.warn({ err: sessionError }, 'session ID delivery failed');
+            }
+        }
+
+        // Keep session alive for 30 seconds, then close only this socket
+        scheduleSession(sessionId, 30000, () => closeSession(sessionId, { reason: 'completed' }));
+    }
+
+    // Ask WhatsApp for a pairing code on the session's current socket and start its expiry clock
+    async #issueCode(sessionId) {
+        const session = getSession(sessionId);
+        const { log } = session;
+
+        let code;
+        session.requestingCode = true;
+        try {
+            code = await session.bot.requestPairingCode(session.number);
+        } catch (pairError) {
+            log.error({ err: pairError }, '❌ Pairing code request failed');
+            await closeSession(sessionId, { reason: 'pairing_code_error' });
+            throw new PairingError('PAIRING_CODE_FAILED', pairError.message);
+        } finally {
+            session.requestingCode = false;
+        }
+
+        // Numbers the codes so the expiry of a replaced code is ignored
+        const issued = ++session.codes;
+        session.codeExpiresAt = Date.now() + this.codeTimeout;
+        const expiresAt = new Date(session.codeExpiresAt).toISOString();
+        const reissuesLeft = MAX_CODE_REISSUES - session.reissues;
+
+        log.info({ expiresAt, reissuesLeft }, '✅ Pairing code generated');
+        emitSessionEvent(sessionId, PairingEvents.PAIRING_CODE, { code, expiresAt, reissuesLeft });
+
+        scheduleSession(sessionId, this.codeTimeout, () => this.#codeExpired(sessionId, issued));
+
+        return { code, expiresAt, reissuesLeft };
+    }
+
+    // Tell the client its code expired. With re-issues left the session waits
+    // reissueWindow for one, otherwise it ends as a timeout right away.
+    #codeExpired(sessionId, issued) {
+        const session = getSession(sessionId);
+        // Replaced by a newer code, or one is on its way
+        if (!session || session.connected || session.codes !== issued || session.requestingCode) return;
+
+        const reissuesLeft = MAX_CODE_REISSUES - session.reissues;
+        session.log.info({ reissuesLeft }, '⏰ Pairing code expired');
+        emitSessionEvent(sessionId, PairingEvents.CODE_EXPIRED, {
+            expiredAt: new Date(session.codeExpiresAt).toISOString(),
+            reissuesLeft
+        });
+
+        if (reissuesLeft <= 0) {
+            this.#expire(sessionId);
+            return;
+        }
+
+        scheduleSession(sessionId, this.reissueWindow, () => {
+            if (getSession(sessionId)?.connected === false && session.codes === issued) {
+                this.#expire(sessionId);
+            }
+        });
+    }
+
+    #expire(sessionId) {
+        emitSessionEvent(sessionId, PairingEvents.TIMEOUT);
+        return closeSession(sessionId, { reason: 'timeout' });
+    }
+
+    // Resolves with the first event of one of the given phases (past events included)
+    #waitForPhase(sessionId, phases) {
+        return new Promise((resolve) => {
+            let done = false;
+            let unsubscribe = null;
+
+            unsubscribe = subscribeSession(sessionId, (event) => {
+                if (done || !phases.includes(event.phase)) return;
+                done = true;
+                resolve(event);
+                if (unsubscribe) unsubscribe();
+            }, () => {});
+
+            if (done && unsubscribe) unsubscribe();
+        });
+    }
+}
+
+export const pairingService = new PairingService();
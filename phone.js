@@ -0,0 +1,199 @@
+// Supported countries with the allowed length of the national number (digits after the country code)
+export const COUNTRIES = [
+    { iso: 'LK', name: 'Sri Lanka', dialCode: '94', lengths: [9], trunkPrefix: '0', example: '771234567' },
+    { iso: 'IN', name: 'India', dialCode: '91', lengths: [10], trunkPrefix: '0', example: '9812345678' },
+    { iso: 'US', name: 'USA/Canada', dialCode: '1', lengths: [10], trunkPrefix: '', example: '2015550123' },
+    { iso: 'GB', name: 'UK', dialCode: '44', lengths: [10], trunkPrefix: '0', example: '7400123456' },
+    { iso: 'AU', name: 'Australia', dialCode: '61', lengths: [9], trunkPrefix: '0', example: '412345678' },
+    { iso: 'PK', name: 'Pakistan', dialCode: '92', lengths: [10], trunkPrefix: '0', example: '3012345678' },
+    { iso: 'BD', name: 'Bangladesh', dialCode: '880', lengths: [10], trunkPrefix: '0', example: '1812345678' },
+    { iso: 'NP', name: 'Nepal', dialCode: '977', lengths: [10], trunkPrefix: '0', example: '9841234567' },
+    { iso: 'MV', name: 'Maldives', dialCode: '960', lengths: [7], trunkPrefix: '', example: '7712345' },
+    { iso: 'AE', name: 'United Arab Emirates', dialCode: '971', lengths: [9], trunkPrefix: '0', example: '501234567' },
+    { iso: 'SA', name: 'Saudi Arabia', dialCode: '966', lengths: [9], trunkPrefix: '0', example: '512345678' },
+    { iso: 'QA', name: 'Qatar', dialCode: '974', lengths: [8], trunkPrefix: '', example: '33123456' },
+    { iso: 'KW', name: 'Kuwait', dialCode: '965', lengths: [8], trunkPrefix: '', example: '50012345' },
+    { iso: 'OM', name: 'Oman', dialCode: '968', lengths: [8], trunkPrefix: '', example: '92123456' },
+    { iso: 'BH', name: 'Bahrain', dialCode: '973', lengths: [8], trunkPrefix: '', example: '36001234' },
+    { iso: 'MY', name: 'Malaysia', dialCode: '60', lengths: [9, 10], trunkPrefix: '0', example: '123456789' },
+    { iso: 'SG', name: 'Singapore', dialCode: '65', lengths: [8], trunkPrefix: '', example: '81234567' },
+    { iso: 'ID', name: 'Indonesia', dialCode: '62', lengths: [9, 10, 11, 12], trunkPrefix: '0', example: '812345678' },
+    { iso: 'PH', name: 'Philippines', dialCode: '63', lengths: [10], trunkPrefix: '0', example: '9051234567' },
+    { iso: 'NG', name: 'Nigeria', dialCode: '234', lengths: [10], trunkPrefix: '0', example: '8021234567' },
+    { iso: 'KE', name: 'Kenya', dialCode: '254', lengths: [9], trunkPrefix: '0', example: '712123456' },
+    { iso: 'ZA', name: 'South Africa', dialCode: '27', lengths: [9], trunkPrefix: '0', example: '711234567' },
+    { iso: 'EG', name: 'Egypt', dialCode: '20', lengths: [10], trunkPrefix: '0', example: '1001234567' },
+    { iso: 'TR', name: 'Turkey', dialCode: '90', lengths: [10], trunkPrefix: '0', example: '5012345678' },
+    { iso: 'DE', name: 'Germany', dialCode: '49', lengths: [10, 11], trunkPrefix: '0', example: '15123456789' },
+    { iso: 'FR', name: 'France', dialCode: '33', lengths: [9], trunkPrefix: '0', example: '612345678' },
+    { iso: 'IT', name: 'Italy', dialCode: '39', lengths: [9, 10], trunkPrefix: '', example: '3123456789' },
+    { iso: 'ES', name: 'Spain', dialCode: '34', lengths: [9], trunkPrefix: '', example: '612345678' },
+    { iso: 'BR', name: 'Brazil', dialCode: '55', lengths: [10, 11], trunkPrefix: '0', example: '11961234567' },
+    { iso: 'MX', name: 'Mexico', dialCode: '52', lengths: [10], trunkPrefix: '', example: '2221234567' }
+];
+
+export class PhoneNumberError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PhoneNumberError';
+        this.code = code;
+    }
+}
+
+function findCountry(hint) {
+    const value = String(hint).trim().replace(/^\+/, '').toUpperCase();
+    return COUNTRIES.find((country) => country.iso === value || country.dialCode === value);
+}
+
+// Country whose dial code prefixes the digits (longest match, dial codes are 1-3 digits)
+function findCountryByDigits(digits) {
+    for (let size = 3; size >= 1; size--) {
+        const country = COUNTRIES.find((entry) => entry.dialCode === digits.slice(0, size));
+        if (country) return country;
+    }
+    return null;
+}
+
+function describeLengths(lengths) {
+    return lengths.length === 1
+        ? `${lengths[0]} digits`
+        : `${lengths[0]}-${lengths[lengths.length - 1]} digits`;
+}
+
+function checkLength(country, nationalNumber) {
+    const { length } = nationalNumber;
+    if (country.lengths.includes(length)) return;
+
+    const min = Math.min(...country.lengths);
+    const max = Math.max(...country.lengths);
+    let code = 'INVALID_LENGTH';
+    if (length < min) code = 'TOO_SHORT';
+    if (length > max) code = 'TOO_LONG';
+
+    throw new PhoneNumberError(
+        code,
+        `${country.name} (+${country.dialCode}) numbers must have ${describeLengths(country.lengths)} after the country code, got ${length}`
+    );
+}
+
+// E.164 bounds on the whole number, country code included
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// Numbers with a dial code outside COUNTRIES only get the E.164 rules, no per-country lengths
+function parseUnlisted(digits) {
+    if (digits.startsWith('0')) {
+        throw new PhoneNumberError(
+            'UNKNOWN_COUNTRY',
+            'Unknown or unsupported country code. Include the country code, e.g. +94 77 123 4567'
+        );
+    }
+
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+        throw new PhoneNumberError(
+            digits.length < E164_MIN_DIGITS ? 'TOO_SHORT' : 'TOO_LONG',
+            `International numbers must have ${E164_MIN_DIGITS}-${E164_MAX_DIGITS} digits including the country code, got ${digits.length}`
+        );
+    }
+
+    return {
+        e164: `+${digits}`,
+        digits,
+        country: null,
+        countryName: null,
+        dialCode: null,
+        nationalNumber: null
+    };
+}
+
+// Parse a phone number into E.164.
+// Accepts international input ("+94 77 123 4567", "0094...", "9477...") or,
+// with a country hint (ISO code or dial code), local input ("077 123 4567").
+// Dial codes outside COUNTRIES are accepted with the plain E.164 length rules.
+export function parsePhoneNumber(input, countryHint) {
+    if (input === undefined || input === null || String(input).trim() === '') {
+        throw new PhoneNumberError('MISSING', 'Please provide a phone number');
+    }
+
+    const raw = String(input).trim();
+
+    if (/[^\d\s()+.-]/.test(raw)) {
+        throw new PhoneNumberError('INVALID_CHARACTERS', 'Phone number may only contain digits, spaces, "+", "-", "." and brackets');
+    }
+
+    if (raw.lastIndexOf('+') > 0) {
+        throw new PhoneNumberError('INVALID_CHARACTERS', '"+" is only allowed at the start of the phone number');
+    }
+
+    const hinted = countryHint ? findCountry(countryHint) : null;
+    if (countryHint && !hinted) {
+        throw new PhoneNumberError('UNKNOWN_COUNTRY', `Unsupported country: ${countryHint}`);
+    }
+
+    let digits = raw.replace(/\D/g, '');
+    const international = raw.startsWith('+') || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+
+    if (!digits) {
+        throw new PhoneNumberError('MISSING', 'Please provide a phone number');
+    }
+
+    let country;
+    let nationalNumber;
+
+    if (international || !hinted) {
+        country = findCountryByDigits(digits);
+        // Dial codes are prefix-free, so no match means a country the table does not list
+        if (!country) return parseUnlisted(digits);
+        if (hinted && hinted.dialCode !== country.dialCode) {
+            throw new PhoneNumberError(
+                'COUNTRY_MISMATCH',
+                `Number starts with +${country.dialCode} (${country.name}) but ${hinted.name} (+${hinted.dialCode}) was selected`
+            );
+        }
+        nationalNumber = digits.slice(country.dialCode.length);
+    } else {
+        country = hinted;
+        nationalNumber = digits;
+
+        // Already includes the country code, e.g. "94771234567" with the Sri Lanka hint
+        const withoutDialCode = digits.slice(country.dialCode.length);
+        if (digits.startsWith(country.dialCode) && country.lengths.includes(withoutDialCode.length)) {
+            nationalNumber = withoutDialCode;
+        } else if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+            // Local format with the trunk prefix, e.g. "0771234567"
+            nationalNumber = digits.slice(country.trunkPrefix.length);
+        }
+    }
+
+    // National numbers never start with the trunk prefix, e.g. "+94 077 123 4567"
+    if (country.trunkPrefix && nationalNumber.startsWith(country.trunkPrefix)) {
+        throw new PhoneNumberError(
+            'TRUNK_PREFIX',
+            `Leave out the leading ${country.trunkPrefix} after the country code: +${country.dialCode} ${nationalNumber.slice(country.trunkPrefix.length)}`
+        );
+    }
+
+    checkLength(country, nationalNumber);
+
+    return {
+        e164: `+${country.dialCode}${nationalNumber}`,
+        digits: `${country.dialCode}${nationalNumber}`,
+        country: country.iso,
+        countryName: country.name,
+        dialCode: country.dialCode,
+        nationalNumber
+    };
+}
+
+// Hide the middle of a number for logs and admin views: 94771234567 -> 9477*****67
+export function maskNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (digits.length <= 6) return '*'.repeat(digits.length);
+    return digits.slice(0, 4) + '*'.repeat(digits.length - 6) + digits.slice(-2);
+}
+
+// Public country list for the country pickers
+export function listCountries() {
+    return COUNTRIES.map(({ iso, name, dialCode, lengths, example }) => ({ iso, name, dialCode, lengths, example }));
+}
@@ -0,0 +1,198 @@
+import { parsePhoneNumber } from './phone.js';
+import { logger } from './logger.js';
+import { ApiError, sendError } from './errors.js';
+
+// Fixed-window counters kept in this process.
+// A store implements: hit(key, windowMs) => { count, resetAt }, get(key) => { count, resetAt } | null, reset(key)
+export class MemoryStore {
+    constructor({ cleanupIntervalMs = 60000 } = {}) {
+        this.counters = new Map();
+        this.cleanup = setInterval(() => this.prune(), cleanupIntervalMs);
+        this.cleanup.unref();
+    }
+
+    async hit(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.count++;
+        return { ...counter };
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= Date.now()) return null;
+        return { ...counter };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+    }
+}
+
+const envNumber = (name, fallback) => Number(process.env[name] || fallback);
+
+export function rateLimitOptionsFromEnv() {
+    return {
+        ip: {
+            max: envNumber('RATE_LIMIT_IP_MAX', 10),
+            windowMs: envNumber('RATE_LIMIT_IP_WINDOW_MS', 60000)
+        },
+        number: {
+            max: envNumber('RATE_LIMIT_NUMBER_MAX', 3),
+            windowMs: envNumber('RATE_LIMIT_NUMBER_WINDOW_MS', 600000)
+        },
+        failures: {
+            max: envNumber('RATE_LIMIT_MAX_FAILURES', 3),
+            cooldownMs: envNumber('RATE_LIMIT_FAILURE_COOLDOWN_MS', 900000)
+        }
+    };
+}
+
+// Express middleware limiting the routes that open a WhatsApp socket.
+// Every request counts against the client IP, phone requests also against the
+// target number. Repeated pairing failures (5xx answers here, failed sessions
+// through recordFailure) put the IP or number on a cooldown; rejected input does not.
+// onReject(scope) is called for every rejected request, scope being
+// "ip", "number", "ip_cooldown" or "number_cooldown".
+export function createRateLimiter({
+    store = new MemoryStore(),
+    routes = ['/qr', '/phone'],
+    methods = ['GET'],
+    onReject = () => {},
+    ...overrides
+} = {}) {
+    const defaults = rateLimitOptionsFromEnv();
+    const options = {
+        ip: { ...defaults.ip, ...overrides.ip },
+        number: { ...defaults.number, ...overrides.number },
+        failures: { ...defaults.failures, ...overrides.failures }
+    };
+
+    const failureKey = (scope, value) => `fail:${scope}:${value}`;
+
+    function setHeaders(res, limit, windowMs, counter) {
+        res.setHeader('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+        res.setHeader('RateLimit-Limit', String(limit));
+        res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - counter.count)));
+        res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((counter.resetAt - Date.now()) / 1000))));
+    }
+
+    function reject(res, scope, resetAt, message) {
+        onReject(scope);
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+        sendError(res, new ApiError('RATE_LIMITED', `${message} Please try again in ${retryAfter} seconds.`, {
+            retryAfter,
+            details: { reason: scope }
+        }));
+    }
+
+    async function isCoolingDown(scope, value) {
+        const failures = await store.get(failureKey(scope, value));
+        return failures && failures.count >= options.failures.max ? failures : null;
+    }
+
+    async function recordFailure({ ip, number } = {}) {
+        if (ip) await store.hit(failureKey('ip', ip), options.failures.cooldownMs);
+        if (number) await store.hit(failureKey('number', number), options.failures.cooldownMs);
+    }
+
+    async function limiter(req, res, next) {
+        // Express routes ignore letter case and a trailing slash, so "/QR/" reaches "/qr" too
+        const route = req.path.toLowerCase().replace(/\/+$/, '');
+        if (!methods.includes(req.method) || !routes.includes(route)) {
+            return next();
+        }
+
+        try {
+            const ip = req.ip;
+            let number = null;
+
+            if (route === '/phone' && req.query.number) {
+                try {
+                    number = parsePhoneNumber(req.query.number, req.query.country).digits;
+                } catch (error) {
+                    // Invalid numbers are rejected by the route itself
+                }
+            }
+
+            const ipCooldown = await isCoolingDown('ip', ip);
+            if (ipCooldown) {
+                return reject(res, 'ip_cooldown', ipCooldown.resetAt, 'Too many failed pairing attempts from your network.');
+            }
+
+            const numberCooldown = number && await isCoolingDown('number', number);
+            if (numberCooldown) {
+                return reject(res, 'number_cooldown', numberCooldown.resetAt, 'Too many failed pairing attempts for this number.');
+            }
+
+            const ipCounter = await store.hit(`ip:${ip}`, options.ip.windowMs);
+            setHeaders(res, options.ip.max, options.ip.windowMs, ipCounter);
+            if (ipCounter.count > options.ip.max) {
+                return reject(res, 'ip', ipCounter.resetAt, 'Too many pairing requests from your network.');
+            }
+
+            if (number) {
+                const numberCounter = await store.hit(`number:${number}`, options.number.windowMs);
+                const ipRemaining = options.ip.max - ipCounter.count;
+                if (options.number.max - numberCounter.count < ipRemaining) {
+                    setHeaders(res, options.number.max, options.number.windowMs, numberCounter);
+                }
+                if (numberCounter.count > options.number.max) {
+                    return reject(res, 'number', numberCounter.resetAt, 'Too many pairing requests for this number.');
+                }
+            }
+
+            // Count pairing failures towards the IP cooldown. 4xx answers are the
+            // client's own input (invalid number, wrong passphrase) and never count.
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (body && body.success === false && res.statusCode >= 500) {
+                    recordFailure({ ip }).catch(() => {});
+                }
+                return json(body);
+            };
+
+            next();
+        } catch (error) {
+            // Never block pairing because the counter store is unavailable
+            (req.log || logger).warn({ err: error }, 'rate limit store unavailable');
+            next();
+        }
+    }
+
+    // Count one pairing attempt for a number outside of a request (batch pairing).
+    // Resolves with { scope, resetAt } when the number is limited, null otherwise.
+    async function consumeNumber(number) {
+        const cooldown = await isCoolingDown('number', number);
+        if (cooldown) {
+            onReject('number_cooldown');
+            return { scope: 'number_cooldown', resetAt: cooldown.resetAt };
+        }
+
+        const counter = await store.hit(`number:${number}`, options.number.windowMs);
+        if (counter.count > options.number.max) {
+            onReject('number');
+            return { scope: 'number', resetAt: counter.resetAt };
+        }
+
+        return null;
+    }
+
+    limiter.recordFailure = recordFailure;
+    limiter.consumeNumber = consumeNumber;
+    return limiter;
+}
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { SessionStringError } from './session.js';
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Session storage provider for S3 and S3-compatible services (R2, MinIO, Wasabi...)
+export async function createS3Storage() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use S3 storage');
+    }
+
+    // Optional dependency, only loaded when S3 storage is selected
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    const prefix = process.env.S3_PREFIX || 'sessions/';
+
+    const resolveKey = (id) => {
+        if (!ID_PATTERN.test(id)) {
+            throw new SessionStringError('Invalid S3 session id');
+        }
+        return `${prefix}${id}.txt`;
+    };
+
+    return {
+        name: 's3',
+
+        async put(sessionBlob) {
+            const id = crypto.randomBytes(16).toString('hex');
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: resolveKey(id),
+                Body: sessionBlob,
+                ContentType: 'text/plain'
+            }));
+            return id;
+        },
+
+        async get(id) {
+            const result = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: resolveKey(id)
+            }));
+            return result.Body.transformToString('utf-8');
+        },
+
+        async check() {
+            const Key = `${prefix}.healthcheck`;
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key, Body: String(Date.now()) }));
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key }));
+        }
+    };
+}
@@ -0,0 +1,107 @@
+import { gzipSync, gunzipSync } from 'zlib';
+import {
+    BufferJSON,
+    initAuthCreds,
+    proto
+} from '@whiskeysockets/baileys';
+
+// Session string layout: <prefix>~<version>~<base64url(gzip(json))>
+export const SESSION_PREFIX = 'DTZ-NOVA-X-MD';
+export const SESSION_VERSION = 1;
+
+// Same key naming as the files of Baileys' useMultiFileAuthState
+export const keyName = (type, id) => `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+
+export class SessionStringError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionStringError';
+    }
+}
+
+// Pack an auth state snapshot ({ creds, keys }) into a session string
+export function encodeSession({ creds, keys = {} }) {
+    const payload = JSON.stringify({
+        v: SESSION_VERSION,
+        creds,
+        keys
+    }, BufferJSON.replacer);
+
+    const encoded = gzipSync(Buffer.from(payload, 'utf-8')).toString('base64url');
+    return `${SESSION_PREFIX}~${SESSION_VERSION}~${encoded}`;
+}
+
+// Unpack a session string into { creds, keys } with Buffers restored
+export function decodeSession(sessionString) {
+    if (typeof sessionString !== 'string') {
+        throw new SessionStringError('Session string must be a string');
+    }
+
+    const [prefix, version, encoded] = sessionString.trim().split('~');
+
+    if (prefix !== SESSION_PREFIX || !encoded) {
+        throw new SessionStringError(`Not a ${SESSION_PREFIX} session string`);
+    }
+
+    if (Number(version) !== SESSION_VERSION) {
+        throw new SessionStringError(`Unsupported session version: ${version}`);
+    }
+
+    let data;
+    try {
+        const json = gunzipSync(Buffer.from(encoded, 'base64url')).toString('utf-8');
+        data = JSON.parse(json, BufferJSON.reviver);
+    } catch (error) {
+        throw new SessionStringError('Session string is corrupted');
+    }
+
+    if (!data?.creds) {
+        throw new SessionStringError('Session string has no credentials');
+    }
+
+    return { creds: data.creds, keys: data.keys || {} };
+}
+
+// Rebuild a Baileys auth state ({ state, saveCreds }) from a session string.
+// Keys live in memory; pass onSave to persist creds when Baileys updates them.
+export function useSessionAuthState(sessionString, { onSave } = {}) {
+    const { creds: savedCreds, keys: savedKeys } = decodeSession(sessionString);
+    const creds = { ...initAuthCreds(), ...savedCreds };
+    const keyStore = new Map(Object.entries(savedKeys));
+
+    const keys = {
+        get: async (type, ids) => {
+            const data = {};
+            for (const id of ids) {
+                let value = keyStore.get(keyName(type, id));
+                if (type === 'app-state-sync-key' && value) {
+                    value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                }
+                data[id] = value;
+            }
+            return data;
+        },
+        set: async (data) => {
+            for (const category in data) {
+                for (const id in data[category]) {
+                    const value = data[category][id];
+                    const key = keyName(category, id);
+                    if (value) {
+                        keyStore.set(key, value);
+                    } else {
+                        keyStore.delete(key);
+                    }
+                }
+            }
+        }
+    };
+
+    return {
+        state: { creds, keys },
+        saveCreds: async () => {
+            if (onSave) {
+                await onSave(JSON.stringify(creds, BufferJSON.replacer));
+            }
+        }
+    };
+}
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { SESSION_PREFIX } from './session.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Encrypted blob layout: <prefix>~enc~<mode>~<base64url(payload)>
+//   key  payload: keyId(4) | iv(12) | tag(16) | ciphertext  (SESSION_ENCRYPTION_KEY)
+//   pass payload: salt(16) | iv(12) | tag(16) | ciphertext  (user passphrase, server cannot decrypt)
+export const ENCRYPTED_MARKER = 'enc';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const KEY_ID_LENGTH = 4;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export class SessionCryptoError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SessionCryptoError';
+        this.code = code;
+    }
+}
+
+// SESSION_ENCRYPTION_KEY holds 32 bytes as hex (64 chars) or base64
+function getServerKey() {
+    const value = process.env.SESSION_ENCRYPTION_KEY;
+    if (!value) return null;
+
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new SessionCryptoError('INVALID_KEY', 'SESSION_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+// Short fingerprint stored with the blob so a rotated key gives a clear error
+const keyId = (key) => crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_LENGTH);
+
+export function hasServerKey() {
+    return Boolean(getServerKey());
+}
+
+export function isEncryptedSession(blob) {
+    const [prefix, marker] = String(blob).trim().split('~');
+    return prefix === SESSION_PREFIX && marker === ENCRYPTED_MARKER;
+}
+
+function seal(key, plaintext, header) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(header));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+function open(key, iv, tag, ciphertext, header) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(header));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf-8');
+}
+
+export function validatePassphrase(passphrase) {
+    if (String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+        throw new SessionCryptoError('WEAK_PASSPHRASE', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+// Encrypt a session string with the user's passphrase if given, otherwise with the server key
+export async function encryptSession(sessionString, { passphrase } = {}) {
+    if (passphrase !== undefined) {
+        validatePassphrase(passphrase);
+
+        const header = `${SESSION_PREFIX}~${ENCRYPTED_MARKER}~pass`;
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const key = await scrypt(String(passphrase), salt, 32, SCRYPT_OPTIONS);
+        const payload = Buffer.concat([salt, ...seal(key, sessionString, header)]);
+        return `${header}~${payload.toString('base64url')}`;
+    }
+
+    const key = getServerKey();
+    if (!key) {
+        throw new SessionCryptoError('KEY_MISSING', 'SESSION_ENCRYPTION_KEY is not set');
+    }
+
+    const header = `${SESSION_PREFIX}~${ENCRYPTED_MARKER}~key`;
+    const payload = Buffer.concat([keyId(key), ...seal(key, sessionString, header)]);
+    return `${header}~${payload.toString('base64url')}`;
+}
+
+// Decrypt a blob from encryptSession. Authentication failures (tampering, wrong
+// key or passphrase) throw SessionCryptoError rather than returning garbage.
+export async function decryptSession(blob, { passphrase } = {}) {
+    const [prefix, marker, mode, encoded, ...extra] = String(blob).trim().split('~');
+
+    if (prefix !== SESSION_PREFIX || marker !== ENCRYPTED_MARKER) {
+        throw new SessionCryptoError('NOT_ENCRYPTED', 'Session data is not encrypted');
+    }
+
+    const header = `${SESSION_PREFIX}~${ENCRYPTED_MARKER}~${mode}`;
+    const payload = Buffer.from(encoded || '', 'base64url');
+    const prefixLength = mode === 'pass' ? SALT_LENGTH : KEY_ID_LENGTH;
+
+    if (!['key', 'pass'].includes(mode) || extra.length > 0 || payload.length <= prefixLength + IV_LENGTH + TAG_LENGTH) {
+        throw new SessionCryptoError('MALFORMED', 'Encrypted session data is malformed or truncated');
+    }
+
+    const lead = payload.subarray(0, prefixLength);
+    const iv = payload.subarray(prefixLength, prefixLength + IV_LENGTH);
+    const tag = payload.subarray(prefixLength + IV_LENGTH, prefixLength + IV_LENGTH + TAG_LENGTH);
+    const ciphertext = payload.subarray(prefixLength + IV_LENGTH + TAG_LENGTH);
+
+    let key;
+    if (mode === 'pass') {
+        if (!passphrase) {
+            throw new SessionCryptoError('PASSPHRASE_REQUIRED', 'This session is protected by a passphrase');
+        }
+        key = await scrypt(String(passphrase), lead, 32, SCRYPT_OPTIONS);
+    } else {
+        key = getServerKey();
+        if (!key) {
+            throw new SessionCryptoError('KEY_MISSING', 'SESSION_ENCRYPTION_KEY is not set');
+        }
+        if (!keyId(key).equals(lead)) {
+            throw new SessionCryptoError('WRONG_KEY', 'Session was encrypted with a different SESSION_ENCRYPTION_KEY');
+        }
+    }
+
+    try {
+        return open(key, iv, tag, ciphertext, header);
+    } catch (error) {
+        throw mode === 'pass'
+            ? new SessionCryptoError('INTEGRITY_FAILED', 'Wrong passphrase or the session data has been tampered with')
+            : new SessionCryptoError('INTEGRITY_FAILED', 'Session data has been tampered with or corrupted');
+    }
+}
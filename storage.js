@@ -0,0 +1,106 @@
+import { createMegaStorage } from './mega.js';
+import { createLocalStorage } from './localstore.js';
+import { createS3Storage } from './s3.js';
+import { SESSION_PREFIX, SessionStringError } from './session.js';
+import { encryptSession, decryptSession, isEncryptedSession, hasServerKey, ENCRYPTED_MARKER } from './sessioncrypto.js';
+import { logger } from './logger.js';
+
+// Every provider implements: { name, put(sessionBlob) => id, get(id) => sessionBlob, check() }
+// check() throws when the backend is unreachable or not writable
+const providers = {
+    local: createLocalStorage,
+    mega: createMegaStorage,
+    s3: createS3Storage
+};
+
+// Provider picked by SESSION_STORAGE. Unset, nothing is uploaded: the session ID is the
+// session string itself (encrypted with a key or passphrase), usable by a bot on any host.
+export const storageName = () => process.env.SESSION_STORAGE || null;
+
+const instances = new Map();
+
+export function getStorage(name = storageName()) {
+    if (!providers[name]) {
+        return Promise.reject(new Error(name ? `Unknown session storage: ${name}` : 'SESSION_STORAGE is not set'));
+    }
+
+    if (!instances.has(name)) {
+        const instance = Promise.resolve().then(() => providers[name]());
+        // Allow a retry after a misconfiguration has been fixed
+        instance.catch(() => instances.delete(name));
+        instances.set(name, instance);
+    }
+
+    return instances.get(name);
+}
+
+// Startup check of the settings that would otherwise only fail once a user has linked.
+// Throws for an unknown provider or an invalid SESSION_ENCRYPTION_KEY (SessionCryptoError);
+// the local provider gets warnings, its session IDs point to a file on this server.
+export function checkStorageSetup(name = storageName()) {
+    if (name && !providers[name]) {
+        throw new Error(`Unknown session storage: ${name}`);
+    }
+    const encrypted = hasServerKey();
+
+    if (name !== 'local') return;
+
+    const dir = process.env.SESSION_STORAGE_DIR || './session';
+    logger.warn({ dir },
+        '⚠️ SESSION_STORAGE=local - session IDs are NOT portable: they can only be loaded on this server, ' +
+        'a bot deployed anywhere else cannot use them. Leave SESSION_STORAGE unset or use mega or s3 for portable session IDs.');
+
+    if (!encrypted) {
+        logger.warn({ dir }, '⚠️ SESSION_ENCRYPTION_KEY is not set - WhatsApp credentials are written in plaintext to the local session folder');
+    }
+}
+
+let warnedPlaintext = false;
+
+// Encrypt a session string, upload it through the active provider and return an opaque session ID.
+// With a passphrase only its owner can decrypt it; otherwise SESSION_ENCRYPTION_KEY is used.
+// Without a provider the (encrypted) session string is the session ID.
+export async function storeSession(sessionString, { passphrase } = {}) {
+    let blob = sessionString;
+
+    if (passphrase !== undefined || hasServerKey()) {
+        blob = await encryptSession(sessionString, { passphrase });
+    } else if (!warnedPlaintext) {
+        warnedPlaintext = true;
+        logger.warn('⚠️ SESSION_ENCRYPTION_KEY is not set - sessions are not encrypted');
+    }
+
+    if (!storageName()) return blob;
+
+    const storage = await getStorage();
+    const id = await storage.put(blob);
+    return `${SESSION_PREFIX}~${storage.name}~${id}`;
+}
+
+// Turn a session ID back into a session string that session.js can decode.
+// Raw session strings (PREFIX~<version>~...) are passed through unchanged,
+// encrypted blobs are decrypted and verified.
+// Throws SessionStringError for IDs that cannot point to a stored session.
+export async function loadSession(sessionId, { passphrase } = {}) {
+    const [prefix, providerName, ...rest] = String(sessionId).trim().split('~');
+
+    if (prefix !== SESSION_PREFIX || !providerName || rest.length === 0) {
+        throw new SessionStringError(`Not a ${SESSION_PREFIX} session ID`);
+    }
+
+    if (/^\d+$/.test(providerName)) {
+        return sessionId.trim();
+    }
+
+    if (providerName === ENCRYPTED_MARKER) {
+        return decryptSession(sessionId, { passphrase });
+    }
+
+    if (!providers[providerName]) {
+        throw new SessionStringError(`Unknown session storage: ${providerName}`);
+    }
+
+    const storage = await getStorage(providerName);
+    const blob = await storage.get(rest.join('~'));
+    return isEncryptedSession(blob) ? decryptSession(blob, { passphrase }) : blob;
+}
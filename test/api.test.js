@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, ADMIN_TOKEN } from './harness.js';
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(async () => {
+    await app.close();
+});
+
+test('status of an unknown session is SESSION_NOT_FOUND', async () => {
+    const { status, body } = await app.request('/api/code/status/session_0_unknown');
+    assert.equal(status, 404);
+    assert.deepEqual(Object.keys(body).slice(0, 4), ['success', 'error', 'code', 'message']);
+    assert.equal(body.code, 'SESSION_NOT_FOUND');
+});
+
+test('malformed session IDs fail validation', async () => {
+    const { status, body } = await app.request('/api/code/status/not-a-session');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.ok(body.problems.length > 0);
+});
+
+test('unknown API routes list the documented endpoints', async () => {
+    const { status, body } = await app.request('/api/nope');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.ok(body.availableEndpoints.includes('GET /api/code/qr'));
+});
+
+test('the OpenAPI document covers the pairing routes', async () => {
+    const { status, body } = await app.request('/api/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.0.3');
+    assert.ok(body.paths['/api/code/status/{sessionId}'].get);
+    assert.ok(body.paths['/api/code/phone'].get.responses['502']);
+});
+
+test('admin routes need the admin token', async () => {
+    const denied = await app.request('/api/admin/sessions');
+    assert.equal(denied.status, 401);
+    assert.equal(denied.body.code, 'UNAUTHORIZED');
+
+    const allowed = await app.request('/api/admin/sessions', { headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(allowed.status, 200);
+});
+
+test('batch routes check the admin token before validating the request', async () => {
+    const batch = await app.request('/api/code/batch', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{}'
+    });
+    assert.equal(batch.status, 401);
+    assert.equal(batch.body.code, 'UNAUTHORIZED');
+    assert.equal(batch.body.problems, undefined);
+
+    const status = await app.request('/api/code/batch/not-a-batch');
+    assert.equal(status.status, 401);
+});
+
+test('invalid JSON bodies are rejected with INVALID_JSON', async () => {
+    const { status, body } = await app.request('/api/session/verify', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{'
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+});
+
+test('a malformed stored session ID is INVALID_SESSION_ID with every provider', async () => {
+    const saved = { ...process.env };
+    Object.assign(process.env, { MEGA_EMAIL: 'bot@example.com', MEGA_PASSWORD: 'secret', S3_BUCKET: 'sessions' });
+
+    try {
+        for (const sessionId of ['DTZ-NOVA-X-MD~local~typo', 'DTZ-NOVA-X-MD~s3~typo', 'DTZ-NOVA-X-MD~mega~typo#key']) {
+            const { status, body } = await app.request('/api/session/verify', {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ sessionId })
+            });
+            assert.equal(status, 400, sessionId);
+            assert.equal(body.code, 'INVALID_SESSION_ID');
+        }
+    } finally {
+        for (const name of ['MEGA_EMAIL', 'MEGA_PASSWORD', 'S3_BUCKET']) {
+            if (saved[name] === undefined) delete process.env[name];
+        }
+    }
+});
+
+test('an invalid encryption key is caught at startup whatever the storage', async () => {
+    const { checkStorageSetup } = await import('../storage.js');
+    process.env.SESSION_ENCRYPTION_KEY = 'too-short';
+
+    try {
+        for (const name of [null, 'local', 'mega', 's3']) {
+            assert.throws(() => checkStorageSetup(name), { code: 'INVALID_KEY' });
+        }
+    } finally {
+        delete process.env.SESSION_ENCRYPTION_KEY;
+    }
+    assert.throws(() => checkStorageSetup('nope'), /Unknown session storage/);
+});
+
+test('health reports the session capacity', async () => {
+    const { status, body } = await app.request('/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.sessions.active, 0);
+});
+
+test('readiness reports the session capacity beside its checks', async () => {
+    const { status, body } = await app.request('/api/health/ready');
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.checks), ['pairRouter', 'storage', 'authState']);
+    assert.equal(body.sessions.full, false);
+});
+
+test('no handler called process.exit', () => {
+    assert.equal(app.exitCalls(), 0);
+});
@@ -0,0 +1,94 @@
+import { EventEmitter, once } from 'events';
+import { DisconnectReason } from '@whiskeysockets/baileys';
+
+export { DisconnectReason };
+
+// Account a fake socket links to unless a test passes its own
+export const FAKE_USER = Object.freeze({ id: '94771234567:12@s.whatsapp.net', name: 'Test User' });
+
+// Stand-in for a Baileys socket. Tests script it from the WhatsApp side:
+// qr() shows a QR code, open() completes the link, close(code) drops the connection.
+export class FakeSocket {
+    constructor({ auth }, whatsapp) {
+        this.whatsapp = whatsapp;
+        this.ev = new EventEmitter();
+        this.authState = { creds: auth.creds, keys: auth.keys };
+        this.user = undefined;
+        this.sent = [];
+        this.pairingNumbers = [];
+        this.ended = false;
+        this.loggedOut = false;
+    }
+
+    qr(value = `fake-qr-${this.whatsapp.sockets.indexOf(this)}-${Date.now()}`) {
+        this.ev.emit('connection.update', { qr: value });
+    }
+
+    open(user = FAKE_USER) {
+        this.user = user;
+        Object.assign(this.authState.creds, { me: user, registered: true, platform: 'android' });
+        this.ev.emit('creds.update', { me: user });
+        this.ev.emit('connection.update', { connection: 'open' });
+    }
+
+    // statusCode is a DisconnectReason, e.g. DisconnectReason.loggedOut
+    close(statusCode = DisconnectReason.connectionClosed, message = 'Connection Failure') {
+        const error = Object.assign(new Error(message), { output: { statusCode } });
+        this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+    }
+
+    async requestPairingCode(number) {
+        this.pairingNumbers.push(number);
+        if (this.whatsapp.pairingError) throw this.whatsapp.pairingError;
+        return this.whatsapp.pairingCode;
+    }
+
+    async sendMessage(jid, content) {
+        this.sent.push({ jid, content });
+        return { key: { remoteJid: jid, id: `FAKE${this.sent.length}` } };
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    async logout() {
+        this.loggedOut = true;
+        this.end();
+    }
+}
+
+// Replaces makeWASocket. Every created socket is kept in sockets and announced
+// with a "socket" event; script(socket, index) runs right after the caller has
+// attached its listeners, so tests can answer like WhatsApp would.
+export class FakeWhatsApp extends EventEmitter {
+    constructor({ script = null, pairingCode = 'FAKECODE' } = {}) {
+        super();
+        this.script = script;
+        this.pairingCode = pairingCode;
+        this.pairingError = null;
+        this.sockets = [];
+        this.makeSocket = (config) => this.#create(config);
+    }
+
+    #create(config) {
+        const socket = new FakeSocket(config, this);
+        const index = this.sockets.push(socket) - 1;
+        this.emit('socket', socket);
+        if (this.script) setImmediate(() => this.script(socket, index));
+        return socket;
+    }
+
+    // Resolves with the next socket the service creates
+    async nextSocket() {
+        const [socket] = await once(this, 'socket');
+        return socket;
+    }
+
+    reset({ script = null, pairingCode = 'FAKECODE' } = {}) {
+        this.script = script;
+        this.pairingCode = pairingCode;
+        this.pairingError = null;
+        this.sockets = [];
+    }
+}
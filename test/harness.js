@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { mock } from 'node:test';
+import { FakeWhatsApp } from './fakewhatsapp.js';
+
+// Everything the app writes goes below one temporary folder, removed by close()
+const TMP_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'dtz-nova-x-md-test-'));
+export const AUTH_STATE_DIR = path.join(TMP_DIR, 'auth');
+export const SESSION_STORAGE_DIR = path.join(TMP_DIR, 'sessions');
+export const ADMIN_TOKEN = 'test-admin-token';
+
+// Set before the app modules load, they read their settings once. Local session
+// storage stands in for MEGA, auth states go to per-session folders so their cleanup shows.
+Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    SESSION_STORAGE: 'local',
+    SESSION_STORAGE_DIR,
+    AUTH_STATE_BACKEND: 'tempdir',
+    AUTH_STATE_DIR,
+    ADMIN_TOKEN,
+    RATE_LIMIT_IP_MAX: '1000',
+    RATE_LIMIT_NUMBER_MAX: '1000',
+    RATE_LIMIT_MAX_FAILURES: '1000'
+});
+for (const name of ['SESSION_ENCRYPTION_KEY', 'WEBHOOK_URLS', 'METRICS_TOKEN']) {
+    delete process.env[name];
+}
+
+// Serve the real app on a free local port with a FakeWhatsApp in place of makeWASocket.
+// process.exit is mocked so a handler calling it fails the test instead of ending the run.
+// env overrides the settings above; the app reads them once, so use it once per test file.
+export async function startApp({ env = {} } = {}) {
+    Object.assign(process.env, env);
+    const exit = mock.method(process, 'exit', () => {});
+    const { default: app } = await import('../app.js');
+    const { pairingService } = await import('../pairing.js');
+    const { closeAllSessions } = await import('../lifecycle.js');
+
+    const whatsapp = new FakeWhatsApp();
+    pairingService.makeSocket = whatsapp.makeSocket;
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        whatsapp,
+        service: pairingService,
+
+        // fetch() on the app; resolves with { status, headers, body } where body is parsed JSON
+        async request(route, options = {}) {
+            const response = await fetch(`${baseUrl}${route}`, options);
+            const type = response.headers.get('content-type') || '';
+            const body = type.includes('application/json') ? await response.json() : await response.text();
+            return { status: response.status, headers: response.headers, body };
+        },
+
+        exitCalls: () => exit.mock.callCount(),
+
+        async close() {
+            await closeAllSessions();
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+            exit.mock.restore();
+            await fs.rm(TMP_DIR, { recursive: true, force: true });
+        }
+    };
+}
+
+// Auth state folders currently on disk, one per open session
+export async function authStateDirs() {
+    return fs.readdir(AUTH_STATE_DIR).catch(() => []);
+}
+
+// Auth state folders left once pending cleanups have run. A closed session answers
+// its callers before the folder is gone, so poll for a moment instead of reading once.
+export async function authStateDirsAfterCleanup(timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    let dirs = await authStateDirs();
+    while (dirs.length && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        dirs = await authStateDirs();
+    }
+    return dirs;
+}
+
+// Session blobs written by the local storage stand-in
+export async function storedSessions() {
+    const files = await fs.readdir(SESSION_STORAGE_DIR).catch(() => []);
+    return files.filter((name) => name.endsWith('.txt'));
+}
+
+// Resolves with the first service event of this phase for the session
+export function waitForPhase(service, sessionId, phase) {
+    return new Promise((resolve) => {
+        const listener = (event) => {
+            if (event.sessionId !== sessionId) return;
+            service.off(phase, listener);
+            resolve(event);
+        };
+        service.on(phase, listener);
+    });
+}
@@ -0,0 +1,335 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+    startApp,
+    authStateDirs,
+    authStateDirsAfterCleanup,
+    storedSessions,
+    waitForPhase,
+    SESSION_STORAGE_DIR
+} from './harness.js';
+import { DisconnectReason, FAKE_USER } from './fakewhatsapp.js';
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(async () => {
+    await app.close();
+});
+
+beforeEach(() => {
+    app.whatsapp.reset();
+});
+
+// Link the session on its current socket and wait until the session ID is stored
+async function link(sessionId) {
+    const uploaded = waitForPhase(app.service, sessionId, 'session_uploaded');
+    app.whatsapp.sockets.at(-1).open();
+    return uploaded;
+}
+
+test('QR pairing links the account, stores the session and delivers it', async () => {
+    app.whatsapp.script = (socket) => socket.qr('fake-qr-1');
+
+    const { status, body } = await app.request('/api/code/qr');
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.qrCode, /^data:image\/png;base64,/);
+    assert.deepEqual(await authStateDirs(), [body.sessionId]);
+
+    const pending = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(pending.body.phase, 'qr');
+    assert.equal(pending.body.outcome, 'pending');
+
+    const { sessionString } = await link(body.sessionId);
+    assert.ok(sessionString);
+    assert.equal((await storedSessions()).length, 1);
+
+    const linked = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(linked.body.connected, true);
+    assert.equal(linked.body.sessionString, sessionString);
+
+    // Welcome message, then the bare session ID, both to the user's own chat
+    const [socket] = app.whatsapp.sockets;
+    assert.deepEqual(socket.sent.map(({ jid }) => jid), [FAKE_USER.id, FAKE_USER.id]);
+    assert.equal(socket.sent[1].content.text, sessionString);
+
+    await app.service.close(body.sessionId, { reason: 'completed' });
+    assert.equal(socket.ended, true);
+    assert.equal(socket.loggedOut, false);
+    assert.deepEqual(await authStateDirs(), []);
+
+    // Still there once the session has closed, for a client that missed it
+    const closed = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(closed.body.outcome, 'linked');
+    assert.equal(closed.body.sessionString, sessionString);
+
+    const events = await app.request(`/api/code/events/${body.sessionId}`);
+    assert.ok(events.body.includes(`"sessionString":"${sessionString}"`));
+});
+
+test('without SESSION_STORAGE the session string itself is delivered as the session ID', async () => {
+    const { SESSION_STORAGE } = process.env;
+    delete process.env.SESSION_STORAGE;
+
+    try {
+        app.whatsapp.script = (socket) => socket.qr();
+        const { body } = await app.request('/api/code/qr');
+        const before = await storedSessions();
+
+        const { sessionString } = await link(body.sessionId);
+        assert.match(sessionString, /^DTZ-NOVA-X-MD~1~/);
+        assert.deepEqual(await storedSessions(), before);
+        assert.equal(app.whatsapp.sockets[0].sent[1].content.text, sessionString);
+
+        const { loadSession } = await import('../storage.js');
+        assert.equal(await loadSession(sessionString), sessionString);
+
+        await app.service.close(body.sessionId, { reason: 'completed' });
+    } finally {
+        process.env.SESSION_STORAGE = SESSION_STORAGE;
+    }
+});
+
+test('a session that cannot be stored ends as failed and unlinks the device', async () => {
+    // A file in place of the storage folder makes every upload fail
+    await fs.rm(SESSION_STORAGE_DIR, { recursive: true, force: true });
+    await fs.writeFile(SESSION_STORAGE_DIR, '');
+
+    try {
+        app.whatsapp.script = (socket) => socket.qr();
+        const { body } = await app.request('/api/code/qr');
+
+        const failed = waitForPhase(app.service, body.sessionId, 'upload_failed');
+        const closed = waitForPhase(app.service, body.sessionId, 'closed');
+        app.whatsapp.sockets[0].open();
+
+        assert.ok((await failed).message);
+        const event = await closed;
+        assert.equal(event.outcome, 'failed');
+        assert.equal(event.reason, 'upload_failed');
+
+        // No welcome message without a session ID, and the orphaned link is removed
+        const [socket] = app.whatsapp.sockets;
+        assert.deepEqual(socket.sent, []);
+        assert.equal(socket.loggedOut, true);
+
+        const status = await app.request(`/api/code/status/${body.sessionId}`);
+        assert.equal(status.body.outcome, 'failed');
+        assert.equal(status.body.message, event.message);
+        assert.deepEqual(await authStateDirsAfterCleanup(), []);
+    } finally {
+        await fs.rm(SESSION_STORAGE_DIR, { force: true });
+    }
+});
+
+test('QR pairing times out when WhatsApp never issues a QR code', async () => {
+    const { qrTimeout } = app.service;
+    app.service.qrTimeout = 100;
+
+    try {
+        const { status, body } = await app.request('/api/code/qr');
+        assert.equal(status, 504);
+        assert.equal(body.code, 'QR_TIMEOUT');
+    } finally {
+        app.service.qrTimeout = qrTimeout;
+    }
+
+    const [socket] = app.whatsapp.sockets;
+    assert.equal(socket.ended, true);
+    assert.deepEqual(await authStateDirsAfterCleanup(), []);
+});
+
+test('QR pairing reconnects after restartRequired and keeps the auth state', async () => {
+    app.whatsapp.script = (socket, index) => {
+        if (index === 0) socket.close(DisconnectReason.restartRequired);
+        else socket.qr('fake-qr-after-restart');
+    };
+
+    const { status, body } = await app.request('/api/code/qr');
+    assert.equal(status, 200);
+    assert.equal(app.whatsapp.sockets.length, 2);
+    assert.equal(app.whatsapp.sockets[1].authState.creds, app.whatsapp.sockets[0].authState.creds);
+
+    await app.service.close(body.sessionId);
+});
+
+test('QR pairing fails when WhatsApp closes the connection before a QR code', async () => {
+    app.whatsapp.script = (socket) => socket.close(DisconnectReason.forbidden);
+
+    const { status, body } = await app.request('/api/code/qr');
+    assert.equal(status, 502);
+    assert.equal(body.code, 'SESSION_CLOSED');
+    assert.deepEqual(await authStateDirsAfterCleanup(), []);
+});
+
+test('phone pairing returns the code and links the account', async () => {
+    app.whatsapp.pairingCode = 'ABCD1234';
+
+    const { status, body } = await app.request('/api/code/phone?number=%2B94771234567');
+    assert.equal(status, 200);
+    assert.equal(body.code, 'ABCD1234');
+    assert.equal(body.e164, '+94771234567');
+    assert.ok(Date.parse(body.expiresAt) > Date.now());
+    assert.deepEqual(app.whatsapp.sockets[0].pairingNumbers, ['94771234567']);
+
+    const pending = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(pending.body.method, 'phone');
+    assert.equal(pending.body.phase, 'pairing_code');
+
+    const { sessionString } = await link(body.sessionId);
+    const linked = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(linked.body.connected, true);
+    assert.equal(linked.body.sessionString, sessionString);
+
+    await app.service.close(body.sessionId, { reason: 'completed' });
+    assert.deepEqual(await authStateDirs(), []);
+});
+
+test('phone pairing reports a refused pairing code and points to the QR method', async () => {
+    app.whatsapp.pairingError = new Error('rate-overlimit');
+
+    const { status, body } = await app.request('/api/code/phone?number=%2B94771234568');
+    assert.equal(status, 502);
+    assert.equal(body.code, 'PAIRING_CODE_FAILED');
+    assert.equal(body.alternative, '/api/code/qr');
+    assert.equal(app.whatsapp.sockets[0].ended, true);
+    assert.deepEqual(await authStateDirsAfterCleanup(), []);
+});
+
+test('phone pairing ends with the disconnect reason when the device is logged out', async () => {
+    const { body } = await app.request('/api/code/phone?number=%2B94771234569');
+    const closed = waitForPhase(app.service, body.sessionId, 'closed');
+    app.whatsapp.sockets[0].close(DisconnectReason.loggedOut);
+    await closed;
+
+    const status = await app.request(`/api/code/status/${body.sessionId}`);
+    assert.equal(status.body.outcome, 'failed');
+    assert.equal(status.body.reason, 'loggedOut');
+    assert.ok(status.body.message);
+    assert.deepEqual(await authStateDirsAfterCleanup(), []);
+});
+
+// Short code lifetimes for the expiry tests, restored afterwards
+async function withCodeTimeouts(codeTimeout, reissueWindow, run) {
+    const saved = { codeTimeout: app.service.codeTimeout, reissueWindow: app.service.reissueWindow };
+    Object.assign(app.service, { codeTimeout, reissueWindow });
+    try {
+        await run();
+    } finally {
+        Object.assign(app.service, saved);
+    }
+}
+
+test('an expired pairing code is reported and re-issued on the same socket', async () => {
+    await withCodeTimeouts(50, 5000, async () => {
+        app.whatsapp.pairingCode = 'FIRST111';
+        const { body } = await app.request('/api/code/phone?number=%2B94771234570');
+        assert.equal(body.reissuesLeft, 3);
+
+        const expired = await waitForPhase(app.service, body.sessionId, 'code_expired');
+        assert.equal(expired.reissuesLeft, 3);
+
+        const status = await app.request(`/api/code/status/${body.sessionId}`);
+        assert.equal(status.body.phase, 'code_expired');
+        assert.equal(status.body.outcome, 'pending');
+        assert.equal(status.body.expiresAt, expired.expiredAt);
+
+        app.whatsapp.pairingCode = 'SECOND22';
+        const reissued = await app.request(`/api/code/phone/${body.sessionId}/reissue`, { method: 'POST' });
+        assert.equal(reissued.status, 200);
+        assert.equal(reissued.body.code, 'SECOND22');
+        assert.equal(reissued.body.reissuesLeft, 2);
+        assert.ok(Date.parse(reissued.body.expiresAt) > Date.parse(expired.expiredAt));
+
+        const [socket] = app.whatsapp.sockets;
+        assert.equal(app.whatsapp.sockets.length, 1);
+        assert.deepEqual(socket.pairingNumbers, ['94771234570', '94771234570']);
+
+        await link(body.sessionId);
+        await app.service.close(body.sessionId, { reason: 'completed' });
+    });
+});
+
+test('re-issues are limited per session and the last code expiry ends it', async () => {
+    await withCodeTimeouts(5000, 5000, async () => {
+        const { body } = await app.request('/api/code/phone?number=%2B94771234571');
+        const reissue = () => app.request(`/api/code/phone/${body.sessionId}/reissue`, { method: 'POST' });
+
+        assert.equal((await reissue()).body.reissuesLeft, 2);
+        assert.equal((await reissue()).body.reissuesLeft, 1);
+
+        // The last code expires quickly and cannot be replaced
+        app.service.codeTimeout = 300;
+        const expired = waitForPhase(app.service, body.sessionId, 'code_expired');
+        const closed = waitForPhase(app.service, body.sessionId, 'closed');
+        assert.equal((await reissue()).body.reissuesLeft, 0);
+
+        const refused = await reissue();
+        assert.equal(refused.status, 429);
+        assert.equal(refused.body.code, 'REISSUE_LIMIT');
+
+        assert.equal((await expired).reissuesLeft, 0);
+        assert.equal((await closed).reason, 'timeout');
+        assert.deepEqual(await authStateDirsAfterCleanup(), []);
+    });
+});
+
+test('re-issue is refused for QR sessions and unknown sessions', async () => {
+    app.whatsapp.script = (socket) => socket.qr();
+    const { body } = await app.request('/api/code/qr');
+
+    const qr = await app.request(`/api/code/phone/${body.sessionId}/reissue`, { method: 'POST' });
+    assert.equal(qr.status, 409);
+    assert.equal(qr.body.code, 'REISSUE_NOT_ALLOWED');
+
+    const unknown = await app.request('/api/code/phone/session_0_unknown/reissue', { method: 'POST' });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'SESSION_NOT_FOUND');
+
+    await app.service.close(body.sessionId);
+});
+
+test('phone pairing rejects invalid numbers before opening a socket', async () => {
+    const { status, body } = await app.request('/api/code/phone?number=12');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_PHONE_NUMBER');
+    assert.equal(app.whatsapp.sockets.length, 0);
+});
+
+test('phone pairing keeps every digit of an 11-digit national number', async () => {
+    // Local German mobile number with the trunk 0
+    const { status, body } = await app.request(`/api/code/phone?number=${encodeURIComponent('0151 2345 6789')}&country=DE`);
+    assert.equal(status, 200);
+    assert.equal(body.e164, '+4915123456789');
+    assert.deepEqual(app.whatsapp.sockets[0].pairingNumbers, ['4915123456789']);
+
+    await app.service.close(body.sessionId);
+});
+
+test('phone pairing accepts international numbers from countries outside the list', async () => {
+    // The pages always send the selected country; a "+" number keeps its own dial code
+    const { status, body } = await app.request(`/api/code/phone?number=${encodeURIComponent('+353 85 123 4567')}&country=LK`);
+    assert.equal(status, 200);
+    assert.equal(body.e164, '+353851234567');
+    assert.equal(body.country, null);
+    assert.deepEqual(app.whatsapp.sockets[0].pairingNumbers, ['353851234567']);
+
+    await app.service.close(body.sessionId);
+});
+
+test('phone pairing rejects a trunk 0 after the country code', async () => {
+    const { status, body } = await app.request(`/api/code/phone?number=${encodeURIComponent('+49 015123456789')}&country=DE`);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_PHONE_NUMBER');
+    assert.equal(body.reason, 'TRUNK_PREFIX');
+    assert.equal(app.whatsapp.sockets.length, 0);
+});
+
+test('no handler called process.exit', () => {
+    assert.equal(app.exitCalls(), 0);
+});
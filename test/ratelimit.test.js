@@ -0,0 +1,73 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './harness.js';
+
+let app;
+
+before(async () => {
+    app = await startApp({ env: { RATE_LIMIT_MAX_FAILURES: '2', RATE_LIMIT_NUMBER_MAX: '1' } });
+});
+
+after(async () => {
+    await app.close();
+});
+
+beforeEach(() => {
+    app.whatsapp.reset();
+});
+
+test('invalid numbers do not put the client on a cooldown', async () => {
+    for (const number of ['12', '+94 077 123 4567', '+999 12']) {
+        const { status, body } = await app.request(`/api/code/phone?number=${encodeURIComponent(number)}`);
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_PHONE_NUMBER');
+    }
+
+    const { status, body } = await app.request('/api/code/phone?number=%2B94771234567');
+    assert.equal(status, 200);
+    await app.service.close(body.sessionId);
+});
+
+test('limited routes cannot be bypassed with letter case or a trailing slash', async () => {
+    const first = await app.request('/api/code/phone?number=%2B94771234580');
+    assert.equal(first.status, 200);
+
+    for (const route of ['/api/code/PHONE', '/api/code/phone/', '/api/code/Phone/']) {
+        const { status, body } = await app.request(`${route}?number=%2B94771234580`);
+        assert.equal(status, 429);
+        assert.equal(body.reason, 'number');
+    }
+    await app.service.close(first.body.sessionId);
+
+    app.whatsapp.script = (socket) => socket.qr();
+    for (const route of ['/api/code/QR', '/api/code/qr/']) {
+        const { status, headers, body } = await app.request(route);
+        assert.equal(status, 200);
+        assert.ok(headers.get('ratelimit-remaining'));
+        await app.service.close(body.sessionId);
+    }
+
+    const verify = await app.request('/api/session/Verify/', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{}'
+    });
+    assert.ok(verify.headers.get('ratelimit-remaining'));
+});
+
+test('failed pairing attempts put the client on a cooldown', async () => {
+    app.whatsapp.pairingError = new Error('rate-overlimit');
+
+    for (const number of ['+94771234568', '+94771234569']) {
+        const { status } = await app.request(`/api/code/phone?number=${encodeURIComponent(number)}`);
+        assert.equal(status, 502);
+    }
+
+    const { status, body } = await app.request('/api/code/phone?number=%2B94771234570');
+    assert.equal(status, 429);
+    assert.equal(body.reason, 'ip_cooldown');
+});
+
+test('no handler called process.exit', () => {
+    assert.equal(app.exitCalls(), 0);
+});
@@ -0,0 +1,151 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { startApp, ADMIN_TOKEN } from './harness.js';
+
+const SECRET = 'test-webhook-secret';
+
+// Local receiver: records every request and answers pairing.started with the next
+// status of startedAnswers (200 once they run out), every other event with 200
+const received = [];
+let startedAnswers = [];
+
+const receiver = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const payload = JSON.parse(body);
+    received.push({ headers: req.headers, body, payload });
+
+    res.statusCode = payload.event === 'pairing.started' ? startedAnswers.shift() ?? 200 : 200;
+    res.end();
+});
+
+let app;
+let signPayload;
+
+before(async () => {
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+
+    app = await startApp({
+        env: {
+            WEBHOOK_URLS: `http://127.0.0.1:${receiver.address().port}/hook`,
+            WEBHOOK_SECRET: SECRET,
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_RETRY_DELAY_MS: '10'
+        }
+    });
+    // Loaded after startApp: the dispatcher reads WEBHOOK_URLS when webhooks.js loads
+    ({ signPayload } = await import('../webhooks.js'));
+});
+
+after(async () => {
+    await app.close();
+    receiver.closeAllConnections();
+    await new Promise((resolve) => receiver.close(resolve));
+});
+
+beforeEach(() => {
+    app.whatsapp.reset();
+    received.length = 0;
+    startedAnswers = [];
+});
+
+// The pairing.started delivery of a session from the admin API, once it has finished
+async function startedDelivery(sessionId, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const { body } = await app.request(`/api/admin/webhooks/deliveries?event=pairing.started&sessionId=${sessionId}`, {
+            headers: { authorization: `Bearer ${ADMIN_TOKEN}` }
+        });
+        const [delivery] = body.deliveries;
+        if (delivery && delivery.status !== 'pending') return { body, delivery };
+        if (Date.now() > deadline) throw new Error(`pairing.started for ${sessionId} still pending`);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+// Requests the receiver got for one event of a session
+const requestsFor = (event, sessionId) =>
+    received.filter(({ payload }) => payload.event === event && payload.data.sessionId === sessionId);
+
+async function startQrSession() {
+    app.whatsapp.script = (socket) => socket.qr();
+    const { body } = await app.request('/api/code/qr');
+    return body.sessionId;
+}
+
+test('deliveries are signed with the shared secret', async () => {
+    const sessionId = await startQrSession();
+    const { delivery } = await startedDelivery(sessionId);
+    assert.equal(delivery.status, 'delivered');
+
+    const [request] = requestsFor('pairing.started', sessionId);
+    const timestamp = request.headers['x-webhook-timestamp'];
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${signPayload(SECRET, timestamp, request.body)}`);
+    assert.equal(request.headers['x-webhook-event'], 'pairing.started');
+    assert.equal(request.headers['x-webhook-id'], request.payload.id);
+    assert.equal(request.payload.data.method, 'qr');
+
+    await app.service.close(sessionId);
+});
+
+test('a 500 from the receiver is retried until it succeeds', async () => {
+    startedAnswers = [500, 500];
+    const sessionId = await startQrSession();
+
+    const { body, delivery } = await startedDelivery(sessionId);
+    assert.equal(body.enabled, true);
+    assert.equal(body.urls, 1);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.error, null);
+
+    // Every attempt carries the same event, each signed for its own timestamp
+    const requests = requestsFor('pairing.started', sessionId);
+    assert.equal(requests.length, 3);
+    assert.equal(new Set(requests.map(({ payload }) => payload.id)).size, 1);
+    for (const { headers, body: raw } of requests) {
+        assert.equal(headers['x-webhook-signature'], `sha256=${signPayload(SECRET, headers['x-webhook-timestamp'], raw)}`);
+    }
+
+    await app.service.close(sessionId);
+});
+
+test('a 400 from the receiver is not retried', async () => {
+    startedAnswers = [400];
+    const sessionId = await startQrSession();
+
+    const { delivery } = await startedDelivery(sessionId);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 400);
+    assert.equal(delivery.error, 'Receiver answered 400');
+    assert.equal(requestsFor('pairing.started', sessionId).length, 1);
+
+    const failed = await app.request('/api/admin/webhooks/deliveries?status=failed', {
+        headers: { authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.deepEqual(failed.body.deliveries.map(({ sessionId: id }) => id), [sessionId]);
+
+    await app.service.close(sessionId);
+});
+
+test('a receiver that keeps failing gets maxAttempts tries', async () => {
+    startedAnswers = [503, 503, 503];
+    const sessionId = await startQrSession();
+
+    const { delivery } = await startedDelivery(sessionId);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 503);
+    assert.equal(requestsFor('pairing.started', sessionId).length, 3);
+
+    await app.service.close(sessionId);
+});
+
+test('no handler called process.exit', () => {
+    assert.equal(app.exitCalls(), 0);
+});
@@ -0,0 +1,8 @@
+// Reject with message when the promise has not settled within ms
+export function withTimeout(promise, ms, message = `No answer within ${ms / 1000}s`) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
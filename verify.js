@@ -0,0 +1,223 @@
+import express from 'express';
+import crypto from 'crypto';
+import {
+    makeWASocket,
+    makeCacheableSignalKeyStore,
+    DisconnectReason
+} from '@whiskeysockets/baileys';
+import { loadSession } from './storage.js';
+import { useSessionAuthState, SessionStringError } from './session.js';
+import { SessionCryptoError } from './sessioncrypto.js';
+import { classifyDisconnect } from './pairing.js';
+import { getConfig } from './config.js';
+import { logger, requestLogger, createSocketLogger } from './logger.js';
+import { sendError } from './errors.js';
+import { documentRoutes, PASSPHRASE_HEADER } from './openapi.js';
+
+// How long WhatsApp may take to accept or refuse a stored session
+export const VERIFY_TIMEOUT = Number(process.env.VERIFY_TIMEOUT || 30000);
+
+// Verification sockets open at the same time, on top of the pairing sessions
+export const MAX_VERIFICATIONS = Number(process.env.MAX_VERIFICATIONS || 3);
+
+// Disconnects that prove the session is no longer usable
+const UNLINKED_DISCONNECTS = new Set([
+    DisconnectReason.loggedOut,
+    DisconnectReason.badSession,
+    DisconnectReason.forbidden,
+    DisconnectReason.multideviceMismatch
+]);
+
+// A verification socket only logs in: no presence, history or init queries
+const SOCKET_OPTIONS = {
+    printQRInTerminal: false,
+    browser: getConfig().browser.qr,
+    markOnlineOnConnect: false,
+    syncFullHistory: false,
+    shouldSyncHistoryMessage: () => false,
+    fireInitQueries: false,
+    connectTimeoutMs: 20000
+};
+
+export class VerifyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'VerifyError';
+        this.code = code;
+    }
+}
+
+let running = 0;
+
+// "94771234567:12@s.whatsapp.net" -> 12 (0 is the phone itself)
+const deviceIndex = (jid) => Number(/:(\d+)@/.exec(jid || '')?.[1] ?? 0);
+
+async function fetchSessionString(sessionId, passphrase) {
+    try {
+        return await loadSession(sessionId, { passphrase });
+    } catch (error) {
+        if (error instanceof SessionStringError || error instanceof SessionCryptoError) throw error;
+        if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+            throw new VerifyError('NOT_FOUND', 'No stored session was found for this session ID');
+        }
+        throw new VerifyError('STORAGE_FAILED', `Could not fetch the session from storage: ${error.message}`);
+    }
+}
+
+// Log in once with the stored credentials and report how WhatsApp answers.
+// Nothing is sent and nothing is saved; creds updates during the check stay in memory.
+function probe(state, { makeSocket, timeoutMs, log }) {
+    const socketLog = createSocketLogger(log);
+    const sockets = [];
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(new VerifyError('TIMEOUT', 'WhatsApp did not answer in time'));
+        }, timeoutMs);
+
+        const connect = () => {
+            const bot = makeSocket({
+                auth: {
+                    creds: state.creds,
+                    keys: makeCacheableSignalKeyStore(state.keys, socketLog)
+                },
+                logger: socketLog,
+                ...SOCKET_OPTIONS
+            });
+            sockets.push(bot);
+
+            bot.ev.on('connection.update', ({ connection, lastDisconnect }) => {
+                if (bot !== sockets.at(-1)) return;
+
+                if (connection === 'open') {
+                    clearTimeout(timer);
+                    resolve({ linked: true, user: bot.user });
+                }
+
+                if (connection === 'close') {
+                    const { statusCode, reason, message } = classifyDisconnect(lastDisconnect);
+
+                    // WhatsApp may ask for one restart right after login
+                    if (statusCode === DisconnectReason.restartRequired && sockets.length === 1) {
+                        connect();
+                        return;
+                    }
+
+                    clearTimeout(timer);
+                    if (UNLINKED_DISCONNECTS.has(statusCode)) {
+                        resolve({ linked: false, reason, message });
+                    } else {
+                        reject(new VerifyError('UNREACHABLE', `Could not reach WhatsApp (${reason})`));
+                    }
+                }
+            });
+        };
+
+        try {
+            connect();
+        } catch (error) {
+            clearTimeout(timer);
+            reject(error);
+        }
+    }).finally(() => {
+        for (const bot of sockets) {
+            try {
+                bot.end(undefined);
+            } catch (error) {
+                log.debug({ err: error }, 'verification socket close failed');
+            }
+        }
+    });
+}
+
+// Check whether a session ID still logs in to WhatsApp.
+// Resolves with { linked, jid, name, device } or { linked: false, reason, message };
+// throws SessionStringError / SessionCryptoError for unusable IDs and VerifyError otherwise.
+export async function verifySession(sessionId, {
+    passphrase,
+    requestId,
+    makeSocket = makeWASocket,
+    timeoutMs = VERIFY_TIMEOUT
+} = {}) {
+    if (running >= MAX_VERIFICATIONS) {
+        throw new VerifyError('BUSY', `Maximum of ${MAX_VERIFICATIONS} concurrent verifications reached`);
+    }
+
+    running++;
+    const log = logger.child({ verificationId: crypto.randomUUID(), ...(requestId && { requestId }) });
+
+    try {
+        const { state } = useSessionAuthState(await fetchSessionString(sessionId, passphrase));
+        const { creds } = state;
+
+        if (!creds.me?.id) {
+            return {
+                linked: false,
+                reason: 'not_registered',
+                message: 'This session was never linked to a WhatsApp account.'
+            };
+        }
+
+        log.info('🔎 Verifying stored session');
+        const result = await probe(state, { makeSocket, timeoutMs, log });
+        log.info({ linked: result.linked, reason: result.reason }, result.linked ? '✅ Session is linked' : '❌ Session is no longer linked');
+
+        if (!result.linked) return result;
+
+        const jid = result.user?.id || creds.me.id;
+        return {
+            linked: true,
+            jid,
+            name: result.user?.name || creds.me.name || null,
+            device: {
+                index: deviceIndex(jid),
+                platform: creds.platform || null,
+                lid: creds.me.lid || null,
+                registered: Boolean(creds.registered)
+            }
+        };
+    } finally {
+        running--;
+    }
+}
+
+const router = express.Router();
+router.use(requestLogger());
+
+const api = documentRoutes(router, '/api/session', { tag: 'Sessions' });
+
+// Check a session ID before deploying a bot with it. Body: { "sessionId": "..." },
+// plus X-Session-Passphrase for passphrase-protected sessions.
+// A bot running on the same session is briefly disconnected by the check.
+api.post('/verify', {
+    summary: 'Check whether a session ID is still linked to WhatsApp',
+    description: 'Logs in once with the stored session without sending anything. A bot running on the same session is briefly disconnected.',
+    headers: [PASSPHRASE_HEADER],
+    body: {
+        type: 'object',
+        required: ['sessionId'],
+        properties: { sessionId: { type: 'string', minLength: 1, maxLength: 100000 } }
+    },
+    responses: { 200: 'linked with the JID and device info, or linked: false with the reason' },
+    errors: [
+        'INVALID_SESSION_ID', 'PASSPHRASE_REQUIRED', 'SESSION_DECRYPTION_FAILED', 'STORED_SESSION_NOT_FOUND',
+        'RATE_LIMITED', 'VERIFY_BUSY', 'ENCRYPTION_UNAVAILABLE', 'STORAGE_FAILED', 'WHATSAPP_UNREACHABLE', 'VERIFY_TIMEOUT'
+    ]
+}, async (req, res) => {
+    try {
+        const result = await verifySession(req.body.sessionId, {
+            passphrase: req.get('x-session-passphrase') || undefined,
+            requestId: req.id
+        });
+
+        res.json({
+            success: true,
+            ...result,
+            checkedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { ENCRYPTED_MARKER } from './sessioncrypto.js';
+
+// Pairing phases forwarded to webhooks, by webhook event name
+export const WebhookEvents = Object.freeze({
+    STARTED: 'pairing.started',
+    SUCCEEDED: 'pairing.succeeded',
+    FAILED: 'pairing.failed',
+    EXPIRED: 'pairing.expired'
+});
+
+const log = logger.child({ module: 'webhooks' });
+
+// Status codes worth another attempt; any other 4xx means the receiver rejected the payload
+const RETRYABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+// Sign a payload for one delivery: HMAC-SHA256 over "<timestamp>.<body>" as hex.
+// Receivers recompute it with the shared secret and compare (and reject old timestamps).
+export function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Delivers signed JSON POSTs to every configured URL, retrying failures with
+// exponential backoff, and keeps the last deliveries in memory for the admin API
+export class WebhookDispatcher {
+    constructor({
+        urls = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean),
+        secret = process.env.WEBHOOK_SECRET,
+        maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+        retryDelayMs = Number(process.env.WEBHOOK_RETRY_DELAY_MS || 2000),
+        timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+        logSize = Number(process.env.WEBHOOK_LOG_SIZE || 100),
+        fetch = globalThis.fetch
+    } = {}) {
+        this.urls = urls;
+        this.secret = secret;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.logSize = logSize;
+        this.fetch = fetch;
+        this.deliveries = [];
+
+        if (this.urls.length && !this.secret) {
+            log.error('WEBHOOK_URLS is set without WEBHOOK_SECRET - webhooks are disabled');
+        }
+    }
+
+    get enabled() {
+        return this.urls.length > 0 && Boolean(this.secret);
+    }
+
+    // Queue one event for every URL; resolves once all deliveries have succeeded or given up
+    send(event, data) {
+        if (!this.enabled) return Promise.resolve([]);
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        return Promise.all(this.urls.map((url) => this.#deliver(url, payload)));
+    }
+
+    // Most recent deliveries first, optionally filtered by status, event or sessionId
+    listDeliveries({ status, event, sessionId, limit = this.logSize } = {}) {
+        return this.deliveries
+            .filter((delivery) => (!status || delivery.status === status)
+                && (!event || delivery.event === event)
+                && (!sessionId || delivery.sessionId === sessionId))
+            .slice(-limit)
+            .reverse();
+    }
+
+    async #deliver(url, payload) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            eventId: payload.id,
+            event: payload.event,
+            sessionId: payload.data.sessionId,
+            url,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            createdAt: payload.timestamp,
+            completedAt: null
+        };
+        this.#record(delivery);
+
+        const body = JSON.stringify(payload);
+
+        while (delivery.attempts < this.maxAttempts) {
+            delivery.attempts++;
+            const timestamp = Math.floor(Date.now() / 1000);
+            let retryable = true;
+
+            try {
+                const response = await this.fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'dtz-nova-x-md-webhooks',
+                        'X-Webhook-Id': payload.id,
+                        'X-Webhook-Event': payload.event,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `sha256=${signPayload(this.secret, timestamp, body)}`
+                    },
+                    body,
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+
+                delivery.responseStatus = response.status;
+                if (response.ok) {
+                    delivery.status = 'delivered';
+                    delivery.error = null;
+                    delivery.completedAt = new Date().toISOString();
+                    log.info({ event: payload.event, url, attempts: delivery.attempts }, '📬 Webhook delivered');
+                    return delivery;
+                }
+
+                delivery.error = `Receiver answered ${response.status}`;
+                retryable = RETRYABLE_STATUS(response.status);
+            } catch (error) {
+                delivery.error = error.message;
+            }
+
+            if (!retryable) break;
+
+            if (delivery.attempts < this.maxAttempts) {
+                // 2s, 4s, 8s, ... by default
+                const wait = this.retryDelayMs * 2 ** (delivery.attempts - 1);
+                log.warn({ event: payload.event, url, attempt: delivery.attempts, error: delivery.error, retryInMs: wait }, 'webhook delivery failed, retrying');
+                await new Promise((resolve) => setTimeout(resolve, wait).unref());
+            }
+        }
+
+        delivery.status = 'failed';
+        delivery.completedAt = new Date().toISOString();
+        log.error({ event: payload.event, url, attempts: delivery.attempts, error: delivery.error }, '❌ Webhook delivery failed');
+        return delivery;
+    }
+
+    #record(delivery) {
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.logSize) {
+            this.deliveries.splice(0, this.deliveries.length - this.logSize);
+        }
+    }
+}
+
+export const webhooks = new WebhookDispatcher();
+
+// "DTZ-NOVA-X-MD~local~<id>" -> { provider: 'local', ref: '<id>' }; null for a session
+// string delivered inline ("DTZ-NOVA-X-MD~1~..." or "DTZ-NOVA-X-MD~enc~...")
+function storageReference(sessionString) {
+    const [, provider, ...rest] = sessionString.split('~');
+    if (/^\d+$/.test(provider) || provider === ENCRYPTED_MARKER) return null;
+    return { provider, ref: rest.join('~') };
+}
+
+// Follow a PairingService and send its lifecycle to the webhooks
+export function forwardPairingEvents(service, dispatcher = webhooks) {
+    if (!dispatcher.enabled) return;
+
+    service.on('event', (event) => {
+        const session = service.getSession(event.sessionId);
+        if (!session) return;
+
+        const base = {
+            sessionId: event.sessionId,
+            method: session.method,
+            ...(session.number && { number: session.number })
+        };
+
+        switch (event.phase) {
+            case 'created':
+                dispatcher.send(WebhookEvents.STARTED, base);
+                break;
+            case 'session_uploaded':
+                dispatcher.send(WebhookEvents.SUCCEEDED, {
+                    ...base,
+                    jid: session.bot?.user?.id,
+                    sessionString: event.sessionString,
+                    storage: storageReference(event.sessionString)
+                });
+                break;
+            case 'closed':
+                if (event.outcome !== 'failed') break;
+                dispatcher.send(event.reason === 'timeout' ? WebhookEvents.EXPIRED : WebhookEvents.FAILED, {
+                    ...base,
+                    reason: event.reason,
+                    ...(event.message && { message: event.message })
+                });
+                break;
+        }
+    });
+}